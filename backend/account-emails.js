@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./database');
+const mailer = require('./mailer');
+const tokens = require('./tokens');
+const { hashPassword } = require('./auth');
+
+// Email verification and password reset.
+// Both links carry a signed, expiring JWT. Each purpose signs with its own key derived from
+// JWT_SECRET, so these tokens are never accepted as access tokens (or for the other purpose).
+// They are single-use without storing them: a verification token only works while the email is
+// unverified, and a reset token carries a stamp of the current password hash, so it stops
+// working once the password has changed.
+
+const ACCOUNT_EMAIL_CONFIG = {
+  // Unverified users may still start sessions unless REQUIRE_EMAIL_VERIFICATION=true
+  requireVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  frontendUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  verifyTtl: process.env.EMAIL_VERIFICATION_TTL || '24h',
+  resetTtl: process.env.PASSWORD_RESET_TTL || '1h'
+};
+
+const PURPOSES = {
+  verifyEmail: 'verify-email',
+  passwordReset: 'password-reset'
+};
+
+// Errors that mean the link is bad or used up (anything else is a server failure)
+const accountTokenError = (message) => {
+  const error = new Error(message);
+  error.name = 'AccountTokenError';
+  return error;
+};
+
+const getSigningKey = (purpose) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(purpose)
+  .digest();
+
+const signAccountToken = (purpose, payload, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, getSigningKey(purpose), { expiresIn });
+
+const verifyAccountToken = (purpose, token) => {
+  if (typeof token !== 'string' || !token) {
+    throw accountTokenError('Token required');
+  }
+  try {
+    const decoded = jwt.verify(token, getSigningKey(purpose));
+    if (decoded.purpose !== purpose) {
+      throw new Error('Wrong token purpose');
+    }
+    return decoded;
+  } catch (error) {
+    throw accountTokenError(error.name === 'TokenExpiredError' ? 'Link expired' : 'Invalid link');
+  }
+};
+
+// Ties a reset token to the password it replaces
+const getPasswordStamp = (passwordHash) =>
+  crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16);
+
+// Send (or resend) the verification link; returns false if the email is already verified
+const sendVerificationEmail = async (userId) => {
+  const result = await pool.query('SELECT id, email, email_verified_at FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user) {
+    throw new Error('User not found');
+  }
+  if (user.email_verified_at) {
+    return false;
+  }
+
+  const token = signAccountToken(PURPOSES.verifyEmail, { userId: user.id, email: user.email }, ACCOUNT_EMAIL_CONFIG.verifyTtl);
+  const link = `${ACCOUNT_EMAIL_CONFIG.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your VoxMiro email address',
+    text: `Confirm your email address by opening this link:\n\n${link}\n\nThe link expires in ${ACCOUNT_EMAIL_CONFIG.verifyTtl}. If you did not sign up for VoxMiro, ignore this email.`
+  });
+  console.log(`📧 Verification email sent to user ${user.id}`);
+  return true;
+};
+
+// Mark the email in a verification token as verified; returns the user
+const verifyEmail = async (token) => {
+  const { userId, email } = verifyAccountToken(PURPOSES.verifyEmail, token);
+
+  // The email must still match, so a link sent before an address change cannot verify the new one
+  const result = await pool.query(`
+    UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND email = $2 AND email_verified_at IS NULL
+    RETURNING id, email, email_verified_at
+  `, [userId, email]);
+
+  if (result.rows.length === 0) {
+    throw accountTokenError('Link already used or no longer valid');
+  }
+  console.log(`✅ Email verified for user ${userId}`);
+  return result.rows[0];
+};
+
+// Email a reset link if the address belongs to a user
+// Callers answer the same way either way, so the route does not reveal which emails have accounts
+const requestPasswordReset = async (email) => {
+  const result = await pool.query('SELECT id, email, password_hash FROM users WHERE email = $1', [email]);
+  const user = result.rows[0];
+  if (!user) {
+    return;
+  }
+
+  const token = signAccountToken(
+    PURPOSES.passwordReset,
+    { userId: user.id, stamp: getPasswordStamp(user.password_hash) },
+    ACCOUNT_EMAIL_CONFIG.resetTtl
+  );
+  const link = `${ACCOUNT_EMAIL_CONFIG.frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your VoxMiro password',
+    text: `Choose a new password by opening this link:\n\n${link}\n\nThe link expires in ${ACCOUNT_EMAIL_CONFIG.resetTtl} and works once. If you did not ask for a password reset, ignore this email.`
+  });
+  console.log(`📧 Password reset email sent to user ${user.id}`);
+};
+
+// Set a new password from a reset token and sign the user out everywhere
+const resetPassword = async (token, password) => {
+  const { userId, stamp } = verifyAccountToken(PURPOSES.passwordReset, token);
+
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user || getPasswordStamp(user.password_hash) !== stamp) {
+    throw accountTokenError('Link already used or no longer valid');
+  }
+
+  const passwordHash = await hashPassword(password);
+  // Compare-and-set on the old hash so two requests with the same link cannot both succeed
+  const updated = await pool.query(
+    'UPDATE users SET password_hash = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND password_hash = $3',
+    [userId, passwordHash, user.password_hash]
+  );
+  if (updated.rowCount === 0) {
+    throw accountTokenError('Link already used or no longer valid');
+  }
+
+  // Anyone holding the old password may also hold a session
+  await tokens.revokeAllForUser(userId);
+  console.log(`🔑 Password reset for user ${userId}`);
+};
+
+// Whether a user may use features gated on a verified email (always true when not required)
+const isEmailVerified = async (userId) => {
+  if (!ACCOUNT_EMAIL_CONFIG.requireVerification) {
+    return true;
+  }
+  if (!userId) {
+    return false;
+  }
+  try {
+    const result = await pool.query('SELECT email_verified_at FROM users WHERE id = $1', [userId]);
+    return Boolean(result.rows[0]?.email_verified_at);
+  } catch (error) {
+    // Like quotas, a database hiccup should not lock verified users out
+    console.error('❌ Failed to check email verification, allowing:', error);
+    return true;
+  }
+};
+
+module.exports = {
+  ACCOUNT_EMAIL_CONFIG,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  isEmailVerified
+};
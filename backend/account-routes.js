@@ -0,0 +1,76 @@
+const express = require('express');
+const { authenticateToken, requireSignIn } = require('./auth');
+const accountEmails = require('./account-emails');
+
+// Email verification and password reset routes, mounted next to the sign-in routes under /api/auth
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Send a new verification link to the signed-in user
+router.post('/verify-email/request', authenticateToken, requireSignIn, async (req, res) => {
+  try {
+    const sent = await accountEmails.sendVerificationEmail(req.userId);
+    res.json({ success: true, alreadyVerified: !sent });
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Complete verification with the token from the link
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body || {};
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: 'token required' });
+  }
+
+  try {
+    const user = await accountEmails.verifyEmail(token);
+    res.json({ success: true, user: { id: user.id, email: user.email, emailVerifiedAt: user.email_verified_at } });
+  } catch (error) {
+    if (error.name === 'AccountTokenError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Failed to verify email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Email a reset link; answers the same whether or not the address has an account
+router.post('/password-reset/request', (req, res) => {
+  const { email } = req.body || {};
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ error: 'email required' });
+  }
+
+  // Not awaited: waiting on the mailer (or its failure) would show which addresses have accounts
+  accountEmails.requestPasswordReset(email.trim())
+    .catch(error => console.error('❌ Failed to request password reset:', error));
+  res.json({ success: true });
+});
+
+// Set a new password with the token from the link (signs out every device)
+router.post('/password-reset', async (req, res) => {
+  const { token, password } = req.body || {};
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: 'token required' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    await accountEmails.resetPassword(token, password);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.name === 'AccountTokenError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Failed to reset password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticateToken, requireSignIn } = require('./auth');
+const apiKeys = require('./api-keys');
+
+const router = express.Router();
+
+// Keys are managed only from a sign-in, so a leaked key cannot mint or unlock others
+router.use(authenticateToken, requireSignIn);
+
+// Scopes a key can be given
+router.get('/scopes', (req, res) => {
+  res.json({ scopes: apiKeys.API_KEY_SCOPES });
+});
+
+// List the user's keys (prefixes and metadata only)
+router.get('/', async (req, res) => {
+  try {
+    res.json({ keys: await apiKeys.listApiKeys(req.userId) });
+  } catch (error) {
+    console.error('❌ Failed to list API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// Create a key ({ name, scopes, expiresAt? }); the response is the only time the key is shown
+router.post('/', async (req, res) => {
+  const { error, ...input } = apiKeys.validateApiKeyInput(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { key, apiKey } = await apiKeys.createApiKey(req.userId, input);
+    res.status(201).json({ key, apiKey });
+  } catch (error) {
+    if (error.name === 'ApiKeyError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Failed to create API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Revoke a key (takes effect on its next request or socket connection)
+router.delete('/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    return res.status(400).json({ error: 'Invalid API key ID' });
+  }
+
+  try {
+    const apiKey = await apiKeys.revokeApiKey(req.userId, id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ apiKey });
+  } catch (error) {
+    console.error('❌ Failed to revoke API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
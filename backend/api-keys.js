@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const pool = require('./database');
+
+// Personal API keys for scripts and other programmatic clients.
+// A key looks like mt_<prefix>_<secret>. The prefix is stored in the clear to find the key and to
+// show it in listings; the full key is stored only as a SHA-256 hash and shown once, on creation.
+// Keys are sent wherever an access token would be (Authorization: Bearer, socket handshake auth)
+// and are limited to their scopes; access tokens from a sign-in keep full access.
+
+const API_KEY_PREFIX = 'mt_';
+
+// Scopes a key can be given
+const API_KEY_SCOPES = {
+  transcribe: 'Live transcription over sockets and file uploads',
+  translate: 'Text translation and glossaries',
+  'transcripts:read': 'Read stored sessions and transcripts',
+  'transcripts:write': 'Rename, edit and delete stored sessions',
+  'usage:read': 'Read usage and quota'
+};
+
+const MAX_KEYS_PER_USER = 20;
+const MAX_NAME_LENGTH = 100;
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+// Errors that mean the key is unusable (anything else is a server failure); expired marks keys that
+// simply ran out, as opposed to ones that were revoked or never existed
+const apiKeyError = (message, { expired = false } = {}) => {
+  const error = new Error(message);
+  error.name = 'ApiKeyError';
+  error.expired = expired;
+  return error;
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Whether a bearer credential is an API key rather than a JWT
+const isApiKey = (credential) => typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+
+// Validate create-key input; returns { error } or { name, scopes, expiresAt }
+const validateApiKeyInput = ({ name, scopes, expiresAt } = {}) => {
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    return { error: `name required (at most ${MAX_NAME_LENGTH} characters)` };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `scopes required (any of: ${Object.keys(API_KEY_SCOPES).join(', ')})` };
+  }
+  const unknownScope = scopes.find(scope => !API_KEY_SCOPES[scope]);
+  if (unknownScope !== undefined) {
+    return { error: `Unknown scope: ${unknownScope}` };
+  }
+
+  let expires = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      return { error: 'expiresAt must be a future date' };
+    }
+  }
+
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expires };
+};
+
+// Key metadata for clients (never the hash)
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: `${API_KEY_PREFIX}${row.prefix}`,
+  scopes: row.scopes,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  revokedAt: row.revoked_at,
+  createdAt: row.created_at
+});
+
+// Create a key; returns { key, apiKey } where key is the only copy of the secret
+const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const active = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  if (active.rows[0].count >= MAX_KEYS_PER_USER) {
+    throw apiKeyError(`At most ${MAX_KEYS_PER_USER} active API keys per user`);
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await pool.query(`
+    INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [userId, name, prefix, hashKey(key), scopes, expiresAt]);
+
+  console.log(`🔑 API key ${API_KEY_PREFIX}${prefix} created for user ${userId}`);
+  return { key, apiKey: toApiKey(result.rows[0]) };
+};
+
+// Keys of a user, newest first (revoked ones included so the history stays visible)
+const listApiKeys = async (userId) => {
+  const result = await pool.query(
+    'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  return result.rows.map(toApiKey);
+};
+
+// Revoke one of a user's keys; returns the key, or null if the user has no such key
+const revokeApiKey = async (userId, keyId) => {
+  const result = await pool.query(`
+    UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [keyId, userId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  console.log(`🔒 API key ${API_KEY_PREFIX}${result.rows[0].prefix} revoked for user ${userId}`);
+  return toApiKey(result.rows[0]);
+};
+
+// Check a presented key; returns { userId, keyId, scopes, expiresAt } and records the use
+const verifyApiKey = async (key) => {
+  const match = /^mt_([0-9a-f]{8})_[\w-]+$/.exec(key || '');
+  if (!match) {
+    throw apiKeyError('Invalid API key');
+  }
+
+  const result = await pool.query(
+    'SELECT id, user_id, key_hash, scopes, expires_at, revoked_at FROM api_keys WHERE prefix = $1',
+    [match[1]]
+  );
+  const stored = result.rows[0];
+  const presented = Buffer.from(hashKey(key));
+  if (!stored || !crypto.timingSafeEqual(presented, Buffer.from(stored.key_hash))) {
+    throw apiKeyError('Invalid API key');
+  }
+  if (stored.revoked_at) {
+    throw apiKeyError('API key revoked');
+  }
+  if (stored.expires_at && new Date(stored.expires_at) <= new Date()) {
+    throw apiKeyError('API key expired', { expired: true });
+  }
+
+  pool.query(`
+    UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $2))
+  `, [stored.id, LAST_USED_RESOLUTION_SECONDS])
+    .catch(error => console.error('❌ Failed to record API key use:', error));
+
+  return {
+    userId: stored.user_id,
+    keyId: stored.id,
+    scopes: stored.scopes,
+    expiresAt: stored.expires_at ? new Date(stored.expires_at).getTime() : null
+  };
+};
+
+// Whether a credential's scopes allow an operation (null scopes = signed-in user, allowed everything)
+const hasScope = (scopes, scope) => !scopes || scopes.includes(scope);
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  validateApiKeyInput,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+  hasScope
+};
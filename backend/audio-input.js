@@ -0,0 +1,238 @@
+const OpusScript = require('opusscript');
+const { createResampler } = require('./resampler');
+
+/**
+ * Socket audio input
+ *
+ * Clients declare their capture format at `start-transcription` and send it unchanged.
+ * Every decoder turns `audio-data` frames into 16kHz Int16LE mono PCM, the format the STT
+ * providers (Deepgram linear16, Google LINEAR16, Whisper WAV) and the VAD are set up for:
+ * - pcm: binary frames (ArrayBuffer / typed array) of interleaved samples at any rate and
+ *   channel count, as int16 or float32. JSON arrays of samples are still accepted from
+ *   older clients.
+ * - opus: one Opus packet per frame (mono or stereo), decoded on the server.
+ * Other rates are resampled and extra channels are averaged into one.
+ */
+
+const AUDIO_ENCODINGS = {
+  PCM: 'pcm',
+  OPUS: 'opus'
+};
+
+const SAMPLE_FORMATS = {
+  INT16: 'int16',
+  FLOAT32: 'float32'
+};
+
+const BYTES_PER_SAMPLE = {
+  [SAMPLE_FORMATS.INT16]: 2,
+  [SAMPLE_FORMATS.FLOAT32]: 4
+};
+
+const PROVIDER_SAMPLE_RATE = 16000;
+const OPUS_MAX_CHANNELS = 2;
+
+const FORMAT_LIMITS = {
+  sampleRate: { min: 8000, max: 192000 },
+  channels: { min: 1, max: 8 }
+};
+
+const DEFAULT_FORMAT = {
+  encoding: AUDIO_ENCODINGS.PCM,
+  sampleRate: PROVIDER_SAMPLE_RATE,
+  channels: 1,
+  sampleFormat: SAMPLE_FORMATS.INT16
+};
+
+/**
+ * Validate the audio declaration from `start-transcription`
+ * @param {Object} audio - { encoding, sampleRate, channels, sampleFormat } (all optional)
+ * @returns {Object} { error } or { format }
+ */
+const parseAudioFormat = (audio = {}) => {
+  const input = audio || {};
+  // "pcm16" was the first name for int16 PCM
+  const encoding = input.encoding === 'pcm16' ? AUDIO_ENCODINGS.PCM : (input.encoding || DEFAULT_FORMAT.encoding);
+  if (!Object.values(AUDIO_ENCODINGS).includes(encoding)) {
+    return { error: `Unsupported audio encoding: ${encoding} (expected ${Object.values(AUDIO_ENCODINGS).join(' or ')})` };
+  }
+
+  const sampleFormat = input.sampleFormat || DEFAULT_FORMAT.sampleFormat;
+  if (!Object.values(SAMPLE_FORMATS).includes(sampleFormat)) {
+    return { error: `Unsupported sample format: ${sampleFormat} (expected ${Object.values(SAMPLE_FORMATS).join(' or ')})` };
+  }
+
+  const format = { encoding, sampleFormat };
+  for (const [key, { min, max }] of Object.entries(FORMAT_LIMITS)) {
+    const value = input[key] === undefined ? DEFAULT_FORMAT[key] : Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${key} must be an integer between ${min} and ${max}` };
+    }
+    format[key] = value;
+  }
+
+  // Opus packets are decoded straight to the provider rate; only the channel count matters
+  if (encoding === AUDIO_ENCODINGS.OPUS) {
+    if (format.channels > OPUS_MAX_CHANNELS) {
+      return { error: 'Opus audio must be mono or stereo' };
+    }
+    format.sampleRate = PROVIDER_SAMPLE_RATE;
+    format.sampleFormat = SAMPLE_FORMATS.INT16;
+  }
+
+  return { format };
+};
+
+/**
+ * View binary socket data as a Buffer without copying
+ * @param {*} data - Buffer, ArrayBuffer or typed array
+ * @returns {Buffer|null} Buffer, or null for non-binary data
+ */
+const toBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+};
+
+/**
+ * Read interleaved samples and average the channels into one (-1..1)
+ * @param {Buffer} chunk - Whole frames only
+ * @param {Object} format - { channels, sampleFormat }
+ * @returns {Float32Array} Mono samples
+ */
+const toMonoFloat = (chunk, { channels, sampleFormat }) => {
+  const bytesPerSample = BYTES_PER_SAMPLE[sampleFormat];
+  const frames = chunk.length / (bytesPerSample * channels);
+  const mono = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = (frame * channels + channel) * bytesPerSample;
+      sum += sampleFormat === SAMPLE_FORMATS.FLOAT32 ? chunk.readFloatLE(offset) : chunk.readInt16LE(offset) / 32768;
+    }
+    mono[frame] = sum / channels;
+  }
+  return mono;
+};
+
+/**
+ * Convert -1..1 samples to Int16LE, clipping anything louder
+ * @param {Float32Array} samples - Mono samples
+ * @returns {Buffer} Int16LE PCM
+ */
+const toInt16Buffer = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768)));
+  }
+  return Buffer.from(pcm.buffer);
+};
+
+/**
+ * Decoder for raw PCM frames
+ * @param {Object} format - Parsed format
+ * @returns {Object} { decode, destroy }
+ */
+const createPcmDecoder = (format) => {
+  const frameBytes = BYTES_PER_SAMPLE[format.sampleFormat] * format.channels;
+  const passThrough = format.sampleFormat === SAMPLE_FORMATS.INT16 && format.channels === 1 &&
+    format.sampleRate === PROVIDER_SAMPLE_RATE;
+  const resampler = createResampler(format.sampleRate, PROVIDER_SAMPLE_RATE);
+  let remainder = null; // Partial frame carried into the next message
+
+  return {
+    decode: (data) => {
+      let chunk;
+      if (Array.isArray(data)) {
+        // Legacy clients send a JSON array of samples
+        const samples = format.sampleFormat === SAMPLE_FORMATS.FLOAT32 ? Float32Array.from(data) : Int16Array.from(data);
+        chunk = Buffer.from(samples.buffer);
+      } else {
+        chunk = toBuffer(data);
+      }
+      if (!chunk) {
+        throw new Error('Audio frames must be binary or an array of samples');
+      }
+
+      if (remainder) {
+        chunk = Buffer.concat([remainder, chunk]);
+        remainder = null;
+      }
+      const partial = chunk.length % frameBytes;
+      if (partial !== 0) {
+        remainder = Buffer.from(chunk.subarray(chunk.length - partial));
+        chunk = chunk.subarray(0, chunk.length - partial);
+      }
+
+      if (passThrough) {
+        return chunk;
+      }
+      return toInt16Buffer(resampler.process(toMonoFloat(chunk, format)));
+    },
+
+    destroy: () => {
+      remainder = null;
+    }
+  };
+};
+
+/**
+ * Decoder for Opus packets (any encoder rate; libopus decodes straight to 16kHz)
+ * @param {Object} format - Parsed format
+ * @returns {Object} { decode, destroy }
+ */
+const createOpusDecoder = (format) => {
+  let decoder = new OpusScript(PROVIDER_SAMPLE_RATE, format.channels, OpusScript.Application.VOIP);
+  let failedPackets = 0;
+
+  return {
+    decode: (data) => {
+      const packet = toBuffer(data);
+      if (!packet || packet.length === 0) {
+        throw new Error('Opus frames must be binary packets');
+      }
+      if (!decoder) {
+        return Buffer.alloc(0);
+      }
+
+      try {
+        const pcm = Buffer.from(decoder.decode(packet));
+        return format.channels === 1 ? pcm : toInt16Buffer(toMonoFloat(pcm, format));
+      } catch (error) {
+        // A corrupt packet on a weak connection costs one frame, not the session
+        failedPackets++;
+        if (failedPackets === 1 || failedPackets % 100 === 0) {
+          console.error(`❌ Failed to decode Opus packet (${failedPackets} so far):`, error.message);
+        }
+        return Buffer.alloc(0);
+      }
+    },
+
+    // Frees the decoder's WebAssembly memory
+    destroy: () => {
+      if (decoder) {
+        decoder.delete();
+        decoder = null;
+      }
+    }
+  };
+};
+
+/**
+ * Create a decoder for a declared format
+ * @param {Object} format - From parseAudioFormat
+ * @returns {Object} { decode(data) -> Buffer of 16kHz Int16LE mono, destroy() }
+ */
+const createAudioDecoder = (format) => {
+  return format.encoding === AUDIO_ENCODINGS.OPUS ? createOpusDecoder(format) : createPcmDecoder(format);
+};
+
+module.exports = {
+  AUDIO_ENCODINGS,
+  SAMPLE_FORMATS,
+  PROVIDER_SAMPLE_RATE,
+  parseAudioFormat,
+  createAudioDecoder
+};
@@ -1,8 +1,17 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const pool = require('./database');
+const tokens = require('./tokens');
+const apiKeys = require('./api-keys');
 require('dotenv').config();
 
+// Access tokens are short-lived; clients renew them with a refresh token (see tokens.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// JWT errors that mean the client must get a new token (anything else is a server failure)
+const TOKEN_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError', 'TokenRevokedError'];
+
 // Hash password
 const hashPassword = async (password) => {
   const saltRounds = 12;
@@ -14,12 +23,33 @@ const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
-// Generate JWT token
+// Generate JWT access token (the jti lets logout revoke this token alone)
 const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '24h' });
+  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() });
+};
+
+// Seconds until a freshly generated token expires
+const getExpiresIn = (token) => {
+  const { iat, exp } = jwt.decode(token);
+  return exp - iat;
+};
+
+// Verify an access token and return its payload; shared by routes and sockets
+// Throws JWT errors for invalid or expired tokens and TokenRevokedError after logout
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (await tokens.isAccessTokenRevoked(decoded)) {
+    const error = new Error('Token revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+  return decoded;
 };
 
-// Verify JWT token middleware
+// Whether an error from verifyAccessToken is the token's fault
+const isTokenError = (error) => TOKEN_ERRORS.includes(error?.name);
+
+// Verify JWT token middleware (also accepts a personal API key; see requireScope)
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -28,13 +58,70 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.userId = decoded.userId;
-    next();
-  });
+  if (apiKeys.isApiKey(token)) {
+    return apiKeys.verifyApiKey(token)
+      .then((key) => {
+        req.userId = key.userId;
+        req.token = null;
+        req.apiKey = { id: key.keyId, scopes: key.scopes };
+        next();
+      })
+      .catch((err) => {
+        if (err.name === 'ApiKeyError') {
+          return res.status(403).json({ error: err.message });
+        }
+        console.error('❌ API key verification failed:', err);
+        res.status(500).json({ error: 'Failed to verify API key' });
+      });
+  }
+
+  verifyAccessToken(token)
+    .then((decoded) => {
+      req.userId = decoded.userId;
+      req.token = decoded;
+      req.apiKey = null;
+      next();
+    })
+    .catch((err) => {
+      if (isTokenError(err)) {
+        return res.status(403).json({ error: err.name === 'TokenRevokedError' ? 'Token revoked' : 'Invalid or expired token' });
+      }
+      console.error('❌ Token verification failed:', err);
+      res.status(500).json({ error: 'Failed to verify token' });
+    });
+};
+
+// Check whether a user is an administrator (ADMIN_USER_IDS is a comma-separated list of user IDs)
+const isAdmin = (userId) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return userId !== undefined && userId !== null && adminIds.includes(String(userId));
+};
+
+// Admin-only middleware (use after authenticateToken); API keys never carry admin rights
+const requireAdmin = (req, res, next) => {
+  if (req.apiKey || !isAdmin(req.userId)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Scope middleware (use after authenticateToken): API keys need the scope, sign-ins have every scope
+const requireScope = (scope) => (req, res, next) => {
+  if (!apiKeys.hasScope(req.apiKey?.scopes, scope)) {
+    return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  }
+  next();
+};
+
+// Sign-in-only middleware (use after authenticateToken) for account management, which no key may do
+const requireSignIn = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'Not available with an API key' });
+  }
+  next();
 };
 
 // Register new user
@@ -52,8 +139,14 @@ const registerUser = async (email, password) => {
       'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at',
       [email, hashedPassword]
     );
+    const user = result.rows[0];
 
-    return result.rows[0];
+    // Registration succeeds even if the mail cannot go out; the user can request another link.
+    // Required here because account-emails depends on this module.
+    require('./account-emails').sendVerificationEmail(user.id)
+      .catch(error => console.error('❌ Failed to send verification email:', error));
+
+    return user;
   } catch (error) {
     throw error;
   }
@@ -62,7 +155,7 @@ const registerUser = async (email, password) => {
 // Login user
 const loginUser = async (email, password) => {
   try {
-    const result = await pool.query('SELECT id, email, password_hash FROM users WHERE email = $1', [email]);
+    const result = await pool.query('SELECT id, email, password_hash, email_verified_at FROM users WHERE email = $1', [email]);
     if (result.rows.length === 0) {
       throw new Error('Invalid credentials');
     }
@@ -75,20 +168,54 @@ const loginUser = async (email, password) => {
     }
 
     const token = generateToken(user.id);
+    const { token: refreshToken } = await tokens.issueRefreshToken(user.id);
     return { 
       token, 
-      user: { id: user.id, email: user.email } 
+      refreshToken,
+      expiresIn: getExpiresIn(token),
+      user: { id: user.id, email: user.email, emailVerified: Boolean(user.email_verified_at) } 
     };
   } catch (error) {
     throw error;
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
+const refreshSession = async (refreshToken) => {
+  const { userId, refreshToken: nextRefreshToken } = await tokens.rotateRefreshToken(refreshToken);
+  const token = generateToken(userId);
+  return { token, refreshToken: nextRefreshToken, expiresIn: getExpiresIn(token) };
+};
+
+// Log out one device: its refresh token family and, if given, its current access token
+const logout = async (refreshToken, accessTokenPayload = null) => {
+  await tokens.revokeRefreshToken(refreshToken);
+  if (accessTokenPayload) {
+    await tokens.revokeAccessToken(accessTokenPayload);
+  }
+  tokens.purgeExpiredTokens()
+    .catch(error => console.error('❌ Failed to purge expired tokens:', error));
+};
+
+// Log out every device of a user
+const logoutAll = async (userId) => {
+  await tokens.revokeAllForUser(userId);
+};
+
 module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
+  verifyAccessToken,
+  isTokenError,
   authenticateToken,
+  isAdmin,
+  requireAdmin,
+  requireScope,
+  requireSignIn,
   registerUser,
-  loginUser
+  loginUser,
+  refreshSession,
+  logout,
+  logoutAll
 }; 
\ No newline at end of file
@@ -1,6 +1,16 @@
 const { createClient } = require('@deepgram/sdk');
+const fs = require('fs');
+const languages = require('./languages');
 require('dotenv').config();
 
+const PROVIDER_ID = 'deepgram-nova-3';
+
+// How often (ms) an idle live stream is kept open with a KeepAlive message
+const LIVE_KEEPALIVE_INTERVAL = 8000;
+
+// Languages Nova-3's multilingual streaming mode covers; other auto-detect sessions use batch detection
+const MULTILINGUAL_LANGUAGES = ['en', 'es', 'fr', 'de', 'hi', 'ru', 'pt', 'ja', 'it', 'nl'];
+
 // Initialize Deepgram client
 let deepgram;
 try {
@@ -11,9 +21,12 @@ try {
 }
 
 // Deepgram configuration for speech-to-text with raw PCM
-const getDeepgramConfig = ({ model = 'nova-3', language = 'en' } = {}) => ({
+// A null language means auto-detect: Nova-3's multilingual mode also follows speakers who switch language
+// (live streams are only opened in that mode when it covers the session's candidate languages)
+const getDeepgramConfig = ({ model = 'nova-3', language = 'en', diarize = false } = {}) => ({
   model,
-  language,
+  language: language || 'multi',
+  ...(diarize ? { diarize: true } : {}),
   smart_format: true,
   punctuate: true,
   interim_results: true,
@@ -23,11 +36,20 @@ const getDeepgramConfig = ({ model = 'nova-3', language = 'en' } = {}) => ({
   encoding: 'linear16' // Raw PCM 16-bit
 });
 
+// Map Deepgram words to the common STT word shape
+const normalizeWords = (words = []) => words.map(word => ({
+  word: word.punctuated_word || word.word,
+  start: word.start,
+  end: word.end,
+  confidence: typeof word.confidence === 'number' ? word.confidence : null,
+  speaker: typeof word.speaker === 'number' ? word.speaker : null
+}));
+
 // Create live transcription connection
-const createLiveTranscription = (onTranscript, onError, { model = 'nova-3', language = 'en' } = {}) => {
+const createLiveTranscription = (onTranscript, onError, { model = 'nova-3', language = 'en', diarize = false, onClose = null } = {}) => {
   try {
-    console.log('🎙️ Creating Deepgram live connection...');
-    const connection = deepgram.listen.live(getDeepgramConfig({ model, language }));
+    console.log(`🎙️ Creating Deepgram live connection${diarize ? ' with diarization' : ''}...`);
+    const connection = deepgram.listen.live(getDeepgramConfig({ model, language, diarize }));
     
     // Handle connection open
     connection.on('open', () => {
@@ -54,11 +76,19 @@ const createLiveTranscription = (onTranscript, onError, { model = 'nova-3', lang
           }
         }
 
+        // Word timings are seconds from the start of the stream; speaker is set when diarizing
+        const words = normalizeWords(data.channel.alternatives[0].words);
+
         const result = {
           transcript,
           confidence,
           isFinal,
           speaker,
+          words,
+          // Multilingual mode lists the languages heard in this result, most prominent first
+          detectedLanguage: language ? null : (data.channel.alternatives[0].languages?.[0] || null),
+          start: data.start, // Seconds from the start of the stream
+          duration: data.duration,
           timestamp: new Date().toISOString()
         };
 
@@ -78,6 +108,9 @@ const createLiveTranscription = (onTranscript, onError, { model = 'nova-3', lang
     // Handle connection close
     connection.on('close', () => {
       console.log('🔐 Deepgram connection closed');
+      if (onClose) {
+        onClose();
+      }
     });
 
     // Handle metadata
@@ -105,15 +138,24 @@ const createLiveConnection = ({ model = 'nova-3', language = 'en' } = {}) => {
   }
 };
 
-// Process pre-recorded audio file
-const transcribeFile = async (audioBuffer, { model = 'nova-3', language = 'en' } = {}) => {
+// Client whose requests a signal cancels (the SDK takes no per-request signal, but does take a fetch function)
+const createAbortableClient = (signal) => createClient(process.env.DEEPGRAM_API_KEY, {
+  global: { fetch: { client: (url, init) => fetch(url, { ...init, signal }) } }
+});
+
+// Transcribe an uploaded audio/video file (any container Deepgram can decode) into timed segments
+const transcribeFile = async (source, { model = 'nova-3', language = 'en', signal = null } = {}) => {
   try {
     console.log('🎵 Transcribing audio file...');
-    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
-      audioBuffer,
+    const client = signal ? createAbortableClient(signal) : deepgram;
+    const { result, error } = await client.listen.prerecorded.transcribeFile(
+      source,
       {
-        ...getDeepgramConfig({ model, language }),
-        interim_results: false // No interim results for file transcription
+        model,
+        language,
+        smart_format: true,
+        punctuate: true,
+        utterances: true // Utterances carry the start/end times used for segments
       }
     );
 
@@ -121,8 +163,26 @@ const transcribeFile = async (audioBuffer, { model = 'nova-3', language = 'en' }
       throw error;
     }
 
-    console.log('✅ File transcription complete');
-    return result;
+    const alt = result?.results?.channels?.[0]?.alternatives?.[0];
+    const utterances = result?.results?.utterances || [];
+    const segments = utterances.map(utterance => ({
+      transcript: utterance.transcript,
+      startMs: Math.round(utterance.start * 1000),
+      endMs: Math.round(utterance.end * 1000),
+      confidence: utterance.confidence,
+      speaker: utterance.speaker !== undefined ? `Speaker ${utterance.speaker + 1}` : 'Speaker',
+      words: normalizeWords(utterance.words)
+    })).filter(segment => segment.transcript && segment.transcript.trim());
+
+    console.log(`✅ File transcription complete (${segments.length} segments)`);
+    return {
+      transcript: alt?.transcript || '',
+      confidence: typeof alt?.confidence === 'number' ? alt.confidence : 0.9,
+      language,
+      provider: PROVIDER_ID,
+      durationMs: Math.round((result?.metadata?.duration || 0) * 1000),
+      segments
+    };
   } catch (error) {
     console.error('❌ File transcription error:', error);
     throw error;
@@ -132,10 +192,13 @@ const transcribeFile = async (audioBuffer, { model = 'nova-3', language = 'en' }
 // Transcribe a raw PCM buffer and return a normalized result
 const transcribeBuffer = async (audioBuffer, language = 'en', model = 'nova-3') => {
   try {
+    // Prerecorded audio detects the language instead of using multilingual mode
+    const { language: configLanguage, ...config } = getDeepgramConfig({ model, language });
     const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
       audioBuffer,
       {
-        ...getDeepgramConfig({ model, language }),
+        ...config,
+        ...(language ? { language: configLanguage } : { detect_language: true }),
         interim_results: false
       }
     );
@@ -146,12 +209,15 @@ const transcribeBuffer = async (audioBuffer, language = 'en', model = 'nova-3')
     const alt = result?.results?.channels?.[0]?.alternatives?.[0];
     const transcript = alt?.transcript || '';
     const confidence = typeof alt?.confidence === 'number' ? alt.confidence : 0.9;
+    const detectedLanguage = language ? null : (result?.results?.channels?.[0]?.detected_language || null);
 
     return {
       transcript,
       confidence,
-      language,
-      provider: 'deepgram-nova-3'
+      language: language || detectedLanguage,
+      detectedLanguage,
+      provider: PROVIDER_ID,
+      words: normalizeWords(alt?.words)
     };
   } catch (err) {
     console.error('❌ Deepgram transcribeBuffer error:', err);
@@ -160,7 +226,7 @@ const transcribeBuffer = async (audioBuffer, language = 'en', model = 'nova-3')
       confidence: 0,
       language,
       error: err.message,
-      provider: 'deepgram-nova-3'
+      provider: PROVIDER_ID
     };
   }
 };
@@ -185,7 +251,87 @@ const validateApiKey = async () => {
   }
 };
 
+// Whether multilingual mode covers every candidate speech language (no candidates means any language)
+const coversLanguages = (candidateLanguages) => candidateLanguages.length > 0 &&
+  candidateLanguages.every(code => MULTILINGUAL_LANGUAGES.includes(languages.speechToTranslationLang(code)));
+
+// Open a live stream wrapped in the common STT stream shape ({ provider, send, finish })
+const createLiveStream = (language, { onResult, onError, onClose } = {}, model = 'nova-3', { diarize = false, candidateLanguages = [] } = {}) => {
+  // Without a stream the session falls back to batch, where each utterance uses detect_language
+  if (!language && !coversLanguages(candidateLanguages)) {
+    console.log(`⏭️ Deepgram multilingual streaming does not cover ${candidateLanguages.join(', ') || 'every language'}, using batch language detection`);
+    return null;
+  }
+
+  const connection = createLiveTranscription(onResult, onError, { model, language, diarize, onClose });
+  if (!connection) {
+    return null;
+  }
+
+  // Deepgram closes idle streams after ~10s without audio, so ping it during pauses
+  let lastSentAt = Date.now();
+  const keepAliveTimer = setInterval(() => {
+    if (Date.now() - lastSentAt >= LIVE_KEEPALIVE_INTERVAL) {
+      connection.keepAlive();
+    }
+  }, LIVE_KEEPALIVE_INTERVAL);
+  const stopKeepAlive = () => clearInterval(keepAliveTimer);
+
+  // Deepgram may end the stream itself (errors, timeouts) without finish() being called
+  connection.on('close', stopKeepAlive);
+  connection.on('error', stopKeepAlive);
+
+  return {
+    provider: PROVIDER_ID,
+    send: (audioChunk) => {
+      lastSentAt = Date.now();
+      connection.send(audioChunk);
+    },
+    finish: () => {
+      stopKeepAlive();
+      connection.requestClose();
+    }
+  };
+};
+
+// STT provider adapter registered in stt-providers.js
+const provider = {
+  id: PROVIDER_ID,
+  name: 'Deepgram Nova-3',
+  description: 'Deepgram Nova-3 real-time and batch transcription',
+  icon: '🎧',
+  capabilities: {
+    realtime: true,
+    confidence: true,
+    wordTimestamps: true,
+    speakerDiarization: true,
+    languageDetection: true
+  },
+  // Deepgram takes bare language codes (cs-CZ -> cs)
+  mapLanguage: (speechLanguage) => languages.speechToTranslationLang(speechLanguage),
+  getSupportedLanguages: () => Object.keys(languages.SPEECH_LANGUAGES),
+  transcribeBuffer: async (audioBuffer, language) => {
+    const result = await transcribeBuffer(audioBuffer, language, 'nova-3');
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return result;
+  },
+  createLiveStream: (language, handlers, options) => createLiveStream(language, handlers, 'nova-3', options),
+  transcribeFile: async (filePath, language, { signal = null } = {}) => {
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (error) => console.error('❌ Failed to read upload for Deepgram:', error.message));
+    try {
+      return await transcribeFile(stream, { model: 'nova-3', language, signal });
+    } finally {
+      stream.destroy();
+    }
+  },
+  testConnection: () => validateApiKey()
+};
+
 module.exports = {
+  provider,
   createLiveTranscription,
   createLiveConnection,
   transcribeFile,
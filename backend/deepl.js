@@ -0,0 +1,186 @@
+const deepl = require('deepl-node');
+
+const ENGINE_ID = 'deepl';
+
+// DeepL client, created on first use
+let translator = null;
+
+// Language lists are fetched once per process
+let languageCache = null;
+
+// Initialize DeepL client
+const initializeTranslator = () => {
+  if (translator) {
+    return true;
+  }
+
+  const apiKey = process.env.DEEPL_API_KEY;
+
+  if (!apiKey) {
+    console.warn('⚠️ DeepL API key not found. DeepL translation engine will be disabled.');
+    return false;
+  }
+
+  try {
+    translator = new deepl.Translator(apiKey);
+    console.log('✅ DeepL translator initialized successfully');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize DeepL translator:', error);
+    return false;
+  }
+};
+
+// DeepL takes bare source codes (en, not en-US)
+const toSourceLanguage = (language) => language ? language.split('-')[0].toLowerCase() : null;
+
+// DeepL rejects bare en/pt as targets, so pick the regional default
+const toTargetLanguage = (language) => {
+  const code = language.toLowerCase();
+  if (code === 'en') return 'en-US';
+  if (code === 'pt') return 'pt-PT';
+  return code;
+};
+
+// Validate DeepL API key and check usage
+const validateDeepLKey = async () => {
+  if (!initializeTranslator()) {
+    return { valid: false, error: 'Translator not initialized' };
+  }
+
+  try {
+    const usage = await translator.getUsage();
+    console.log('🔑 DeepL API key is valid');
+    console.log('📊 Translation usage:', {
+      character_count: usage.character.count,
+      character_limit: usage.character.limit,
+      usage_percentage: ((usage.character.count / usage.character.limit) * 100).toFixed(2) + '%'
+    });
+
+    return {
+      valid: true,
+      usage: {
+        count: usage.character.count,
+        limit: usage.character.limit,
+        percentage: (usage.character.count / usage.character.limit) * 100
+      }
+    };
+  } catch (error) {
+    console.error('❌ DeepL API key validation failed:', error);
+    return { valid: false, error: error.message };
+  }
+};
+
+// Translate one or more texts
+const translate = async (texts, sourceLanguage, targetLanguage, options = {}) => {
+  if (!initializeTranslator()) {
+    throw new Error('DeepL translator not initialized');
+  }
+
+  try {
+    const results = await translator.translateText(
+      texts,
+      toSourceLanguage(sourceLanguage),
+      toTargetLanguage(targetLanguage),
+      {
+        preserveFormatting: true,
+        formality: options.formality || 'default',
+        ...(options.glossaryId ? { glossary: options.glossaryId } : {})
+      }
+    );
+
+    return results.map(result => result.text);
+  } catch (error) {
+    // Flag quota errors so the engine registry fails over instead of retrying DeepL
+    if (error instanceof deepl.QuotaExceededError) {
+      error.quotaExceeded = true;
+    }
+    throw error;
+  }
+};
+
+// Create a DeepL glossary and return its ID
+const createGlossary = async (name, sourceLanguage, targetLanguage, entries) => {
+  if (!initializeTranslator()) {
+    throw new Error('DeepL translator not initialized');
+  }
+
+  const glossaryEntries = new deepl.GlossaryEntries({
+    entries: Object.fromEntries(entries.map(entry => [entry.source, entry.target]))
+  });
+  const glossary = await translator.createGlossary(
+    name,
+    toSourceLanguage(sourceLanguage),
+    toSourceLanguage(targetLanguage), // Glossaries use bare codes on both sides
+    glossaryEntries
+  );
+
+  console.log(`📘 DeepL glossary created: ${glossary.glossaryId}`);
+  return glossary.glossaryId;
+};
+
+// Delete a DeepL glossary (missing glossaries are ignored)
+const deleteGlossary = async (glossaryId) => {
+  if (!initializeTranslator()) {
+    return;
+  }
+
+  try {
+    await translator.deleteGlossary(glossaryId);
+    console.log(`🗑️ DeepL glossary deleted: ${glossaryId}`);
+  } catch (error) {
+    if (!(error instanceof deepl.GlossaryNotFoundError)) {
+      throw error;
+    }
+  }
+};
+
+// Get supported source and target languages
+const getLanguages = async () => {
+  if (!initializeTranslator()) {
+    return { source: [], target: [] };
+  }
+
+  if (!languageCache) {
+    const [sourceLanguages, targetLanguages] = await Promise.all([
+      translator.getSourceLanguages(),
+      translator.getTargetLanguages()
+    ]);
+    languageCache = {
+      source: sourceLanguages.map(language => language.code.toLowerCase()),
+      target: targetLanguages.map(language => language.code.toLowerCase())
+    };
+  }
+
+  return languageCache;
+};
+
+// Translation engine adapter registered in translation-engines.js
+const engine = {
+  id: ENGINE_ID,
+  name: 'DeepL',
+  description: 'DeepL neural machine translation',
+  icon: '🔷',
+  capabilities: {
+    formality: true,
+    glossary: true,
+    batch: true,
+    autoDetect: true
+  },
+  isConfigured: () => Boolean(process.env.DEEPL_API_KEY),
+  initialize: initializeTranslator,
+  toSourceLanguage,
+  toTargetLanguage,
+  translate,
+  getLanguages,
+  createGlossary,
+  deleteGlossary,
+  testConnection: async () => (await validateDeepLKey()).valid
+};
+
+module.exports = {
+  engine,
+  initializeTranslator,
+  validateDeepLKey,
+  getTranslator: () => (initializeTranslator() ? translator : null)
+};
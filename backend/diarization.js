@@ -0,0 +1,82 @@
+// Speaker diarization helpers: split word-level results by speaker and keep per-session speaker names
+
+const DEFAULT_SPEAKER = 'Speaker';
+const MAX_SPEAKER_NAME_LENGTH = 100;
+
+// Stable ID for a provider speaker index (0 -> speaker-0)
+const toSpeakerId = (speaker) => `speaker-${speaker}`;
+
+// Default label for a speaker ID (speaker-0 -> Speaker 1)
+const defaultLabel = (speakerId) => {
+  const index = parseInt(String(speakerId).replace('speaker-', ''), 10);
+  return Number.isInteger(index) ? `${DEFAULT_SPEAKER} ${index + 1}` : DEFAULT_SPEAKER;
+};
+
+// Group consecutive words spoken by the same speaker into segments
+const splitBySpeaker = (words) => {
+  const segments = [];
+
+  words.forEach(word => {
+    const speakerId = word.speaker !== undefined && word.speaker !== null ? toSpeakerId(word.speaker) : null;
+    const current = segments[segments.length - 1];
+
+    if (current && current.speakerId === speakerId) {
+      current.words.push(word);
+    } else {
+      segments.push({ speakerId, words: [word] });
+    }
+  });
+
+  return segments.map(segment => ({
+    speakerId: segment.speakerId,
+    words: segment.words,
+    transcript: segment.words.map(word => word.word).join(' '),
+    start: segment.words[0].start,
+    duration: segment.words[segment.words.length - 1].end - segment.words[0].start,
+    confidence: segment.words.reduce((sum, word) => sum + (word.confidence || 0), 0) / segment.words.length
+  }));
+};
+
+// Speaker of the first labelled word, for results that are not split
+const getLeadingSpeakerId = (words = []) => {
+  const word = words.find(candidate => candidate.speaker !== undefined && candidate.speaker !== null);
+  return word ? toSpeakerId(word.speaker) : null;
+};
+
+// Per-session speaker names; renames apply to every result with that speaker ID
+const createSpeakerRegistry = () => {
+  const names = new Map();
+
+  return {
+    getLabel: (speakerId) => {
+      if (!speakerId) return DEFAULT_SPEAKER;
+      return names.get(speakerId) || defaultLabel(speakerId);
+    },
+
+    rename: (speakerId, name) => {
+      names.set(speakerId, name);
+    },
+
+    toJSON: () => Object.fromEntries(names)
+  };
+};
+
+// Validate a rename request; returns an error message or null
+const validateSpeakerRename = ({ speakerId, name } = {}) => {
+  if (typeof speakerId !== 'string' || !/^speaker-\d+$/.test(speakerId)) {
+    return 'Valid speakerId required (e.g. speaker-1)';
+  }
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_SPEAKER_NAME_LENGTH) {
+    return `Speaker name required (max ${MAX_SPEAKER_NAME_LENGTH} characters)`;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_SPEAKER,
+  toSpeakerId,
+  splitBySpeaker,
+  getLeadingSpeakerId,
+  createSpeakerRegistry,
+  validateSpeakerRename
+};
@@ -0,0 +1,309 @@
+const { EventEmitter } = require('events');
+const pool = require('./database');
+const languages = require('./languages');
+const translationEngines = require('./translation-engines');
+
+const MAX_ENTRIES = 5000;
+const MAX_TERM_LENGTH = 500;
+
+// Emits 'updated' with the glossary (entries included) and 'deleted' with { userId, glossaryId },
+// so sessions that attached a glossary follow later edits
+const events = new EventEmitter();
+
+// Provider copies held by attached sessions: providerGlossaryId -> { engineId, holders, retired }
+// A copy replaced or deleted while held is removed from the provider once its last holder releases it
+const heldProviderGlossaries = new Map();
+
+// Validate glossary input; returns an error message or null
+const validateGlossaryInput = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object') {
+    return 'Glossary data required';
+  }
+
+  const { name, sourceLanguage, targetLanguage, entries } = input;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      return 'Glossary name required (max 255 characters)';
+    }
+  }
+
+  if (!partial) {
+    if (!sourceLanguage || !languages.isValidTranslationLanguage(sourceLanguage)) {
+      return 'Valid sourceLanguage required';
+    }
+    if (!targetLanguage || !languages.isValidTranslationLanguage(targetLanguage)) {
+      return 'Valid targetLanguage required';
+    }
+    if (sourceLanguage === targetLanguage) {
+      return 'sourceLanguage and targetLanguage must differ';
+    }
+  }
+
+  if (!partial || entries !== undefined) {
+    if (!Array.isArray(entries)) {
+      return 'entries must be an array of { source, target } pairs';
+    }
+    if (entries.length > MAX_ENTRIES) {
+      return `A glossary can hold at most ${MAX_ENTRIES} entries`;
+    }
+    const invalid = entries.find(entry =>
+      !entry ||
+      typeof entry.source !== 'string' || !entry.source.trim() || entry.source.length > MAX_TERM_LENGTH ||
+      typeof entry.target !== 'string' || !entry.target.trim() || entry.target.length > MAX_TERM_LENGTH
+    );
+    if (invalid) {
+      return `Every entry needs non-empty source and target terms (max ${MAX_TERM_LENGTH} characters)`;
+    }
+  }
+
+  return null;
+};
+
+// Trim terms and drop duplicate source terms (last one wins)
+const normalizeEntries = (entries) => {
+  const bySource = new Map();
+  entries.forEach(entry => {
+    bySource.set(entry.source.trim().toLowerCase(), { source: entry.source.trim(), target: entry.target.trim() });
+  });
+  return Array.from(bySource.values());
+};
+
+// Map database rows to the API shape
+const toGlossary = (row, entries = null) => ({
+  id: row.id,
+  name: row.name,
+  sourceLanguage: row.source_language,
+  targetLanguage: row.target_language,
+  entryCount: entries ? entries.length : parseInt(row.entry_count, 10) || 0,
+  providerGlossaries: row.provider_glossaries || {},
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(entries ? { entries } : {})
+});
+
+// Engines that manage glossaries natively (e.g. DeepL)
+const getGlossaryEngines = () => {
+  return Object.values(translationEngines.TRANSLATION_ENGINES)
+    .map(id => translationEngines.getEngine(id))
+    .filter(engine => engine.capabilities?.glossary && engine.isConfigured() && typeof engine.createGlossary === 'function');
+};
+
+// Remove provider-side copies of a glossary
+const deleteProviderGlossaries = async (providerGlossaries = {}) => {
+  await Promise.all(Object.entries(providerGlossaries).map(async ([engineId, providerGlossaryId]) => {
+    try {
+      const engine = translationEngines.getEngine(engineId);
+      if (typeof engine.deleteGlossary === 'function') {
+        await engine.deleteGlossary(providerGlossaryId);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to delete ${engineId} glossary ${providerGlossaryId}:`, error.message);
+    }
+  }));
+};
+
+// Remove provider-side copies that are no longer current, keeping held ones until they are released
+const retireProviderGlossaries = async (providerGlossaries = {}) => {
+  const unheld = {};
+  Object.entries(providerGlossaries).forEach(([engineId, providerGlossaryId]) => {
+    const held = heldProviderGlossaries.get(providerGlossaryId);
+    if (held) {
+      held.retired = true;
+    } else {
+      unheld[engineId] = providerGlossaryId;
+    }
+  });
+  await deleteProviderGlossaries(unheld);
+};
+
+// Mark a glossary's provider copies as in use by a session; returns the glossary
+const retainGlossary = (glossary) => {
+  Object.entries(glossary.providerGlossaries || {}).forEach(([engineId, providerGlossaryId]) => {
+    const held = heldProviderGlossaries.get(providerGlossaryId) || { engineId, holders: 0, retired: false };
+    held.holders += 1;
+    heldProviderGlossaries.set(providerGlossaryId, held);
+  });
+  return glossary;
+};
+
+// Let go of a retained glossary, deleting provider copies retired while it was held
+const releaseGlossary = (glossary) => {
+  Object.values(glossary.providerGlossaries || {}).forEach((providerGlossaryId) => {
+    const held = heldProviderGlossaries.get(providerGlossaryId);
+    if (!held) {
+      return;
+    }
+    held.holders -= 1;
+    if (held.holders <= 0) {
+      heldProviderGlossaries.delete(providerGlossaryId);
+      if (held.retired) {
+        deleteProviderGlossaries({ [held.engineId]: providerGlossaryId });
+      }
+    }
+  });
+};
+
+// Create provider-side copies of a glossary; engines that fail fall back to local term protection
+const createProviderGlossaries = async (name, sourceLanguage, targetLanguage, entries) => {
+  const providerGlossaries = {};
+  if (entries.length === 0) {
+    return providerGlossaries;
+  }
+
+  await Promise.all(getGlossaryEngines().map(async (engine) => {
+    try {
+      providerGlossaries[engine.id] = await engine.createGlossary(name, sourceLanguage, targetLanguage, entries);
+    } catch (error) {
+      console.error(`⚠️ ${engine.name} glossary sync failed, local term protection will be used:`, error.message);
+    }
+  }));
+
+  return providerGlossaries;
+};
+
+// Replace the entries of a glossary inside a transaction
+const replaceEntries = async (client, glossaryId, entries) => {
+  await client.query('DELETE FROM glossary_entries WHERE glossary_id = $1', [glossaryId]);
+  if (entries.length > 0) {
+    await client.query(`
+      INSERT INTO glossary_entries (glossary_id, source_term, target_term)
+      SELECT $1, source_term, target_term
+      FROM unnest($2::text[], $3::text[]) AS t(source_term, target_term)
+    `, [glossaryId, entries.map(entry => entry.source), entries.map(entry => entry.target)]);
+  }
+};
+
+// Load entries for a glossary
+const getEntries = async (glossaryId) => {
+  const result = await pool.query(
+    'SELECT source_term, target_term FROM glossary_entries WHERE glossary_id = $1 ORDER BY id',
+    [glossaryId]
+  );
+  return result.rows.map(row => ({ source: row.source_term, target: row.target_term }));
+};
+
+// Create glossary
+const createGlossary = async (userId, input) => {
+  const entries = normalizeEntries(input.entries);
+  const providerGlossaries = await createProviderGlossaries(input.name.trim(), input.sourceLanguage, input.targetLanguage, entries);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO glossaries (user_id, name, source_language, target_language, provider_glossaries)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [userId, input.name.trim(), input.sourceLanguage, input.targetLanguage, JSON.stringify(providerGlossaries)]);
+    await replaceEntries(client, result.rows[0].id, entries);
+    await client.query('COMMIT');
+
+    console.log(`📘 Glossary created: ${result.rows[0].id} (${entries.length} entries) for user ${userId}`);
+    return toGlossary(result.rows[0], entries);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await deleteProviderGlossaries(providerGlossaries);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// List a user's glossaries (without entries)
+const listGlossaries = async (userId) => {
+  const result = await pool.query(`
+    SELECT g.*, COUNT(e.id) AS entry_count
+    FROM glossaries g
+    LEFT JOIN glossary_entries e ON e.glossary_id = g.id
+    WHERE g.user_id = $1
+    GROUP BY g.id
+    ORDER BY g.updated_at DESC
+  `, [userId]);
+  return result.rows.map(row => toGlossary(row));
+};
+
+// Get one of a user's glossaries with its entries (null if not found or not owned)
+const getGlossary = async (userId, glossaryId) => {
+  const result = await pool.query('SELECT * FROM glossaries WHERE id = $1 AND user_id = $2', [glossaryId, userId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return toGlossary(result.rows[0], await getEntries(glossaryId));
+};
+
+// Update glossary name and/or entries (entries replace the whole list)
+const updateGlossary = async (userId, glossaryId, input) => {
+  const existing = await getGlossary(userId, glossaryId);
+  if (!existing) {
+    return null;
+  }
+
+  const name = input.name !== undefined ? input.name.trim() : existing.name;
+  const entries = input.entries !== undefined ? normalizeEntries(input.entries) : existing.entries;
+
+  // Provider glossaries are immutable, so changed entries mean a fresh copy
+  const entriesChanged = input.entries !== undefined;
+  const providerGlossaries = entriesChanged
+    ? await createProviderGlossaries(name, existing.sourceLanguage, existing.targetLanguage, entries)
+    : existing.providerGlossaries;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      UPDATE glossaries
+      SET name = $1, provider_glossaries = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND user_id = $4
+      RETURNING *
+    `, [name, JSON.stringify(providerGlossaries), glossaryId, userId]);
+    if (entriesChanged) {
+      await replaceEntries(client, glossaryId, entries);
+    }
+    await client.query('COMMIT');
+
+    if (entriesChanged) {
+      await retireProviderGlossaries(existing.providerGlossaries);
+    }
+    const glossary = toGlossary(result.rows[0], entries);
+    events.emit('updated', glossary);
+    return glossary;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (entriesChanged) {
+      await deleteProviderGlossaries(providerGlossaries);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Delete glossary; returns false if not found or not owned
+const deleteGlossary = async (userId, glossaryId) => {
+  const result = await pool.query(
+    'DELETE FROM glossaries WHERE id = $1 AND user_id = $2 RETURNING provider_glossaries',
+    [glossaryId, userId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await retireProviderGlossaries(result.rows[0].provider_glossaries || {});
+  events.emit('deleted', { userId, glossaryId });
+  console.log(`🗑️ Glossary deleted: ${glossaryId} for user ${userId}`);
+  return true;
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  events,
+  validateGlossaryInput,
+  createGlossary,
+  listGlossaries,
+  getGlossary,
+  updateGlossary,
+  deleteGlossary,
+  retainGlossary,
+  releaseGlossary
+};
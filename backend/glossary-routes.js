@@ -0,0 +1,103 @@
+const express = require('express');
+const { authenticateToken, requireScope } = require('./auth');
+const glossaries = require('./glossaries');
+
+const router = express.Router();
+
+// All glossary routes belong to the signed-in user (API keys need the translate scope)
+router.use(authenticateToken, requireScope('translate'));
+
+// Glossary IDs are serial integers
+const parseId = (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: 'Invalid glossary ID' });
+    return null;
+  }
+  return id;
+};
+
+// List glossaries
+router.get('/', async (req, res) => {
+  try {
+    const list = await glossaries.listGlossaries(req.userId);
+    res.json({ glossaries: list });
+  } catch (error) {
+    console.error('❌ Failed to list glossaries:', error);
+    res.status(500).json({ error: 'Failed to list glossaries' });
+  }
+});
+
+// Create glossary
+router.post('/', async (req, res) => {
+  const validationError = glossaries.validateGlossaryInput(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const glossary = await glossaries.createGlossary(req.userId, req.body);
+    res.status(201).json({ glossary });
+  } catch (error) {
+    console.error('❌ Failed to create glossary:', error);
+    res.status(500).json({ error: 'Failed to create glossary' });
+  }
+});
+
+// Get glossary with entries
+router.get('/:id', async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  try {
+    const glossary = await glossaries.getGlossary(req.userId, id);
+    if (!glossary) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+    res.json({ glossary });
+  } catch (error) {
+    console.error('❌ Failed to get glossary:', error);
+    res.status(500).json({ error: 'Failed to get glossary' });
+  }
+});
+
+// Update glossary name and/or entries
+router.put('/:id', async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  const validationError = glossaries.validateGlossaryInput(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const glossary = await glossaries.updateGlossary(req.userId, id, req.body);
+    if (!glossary) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+    res.json({ glossary });
+  } catch (error) {
+    console.error('❌ Failed to update glossary:', error);
+    res.status(500).json({ error: 'Failed to update glossary' });
+  }
+});
+
+// Delete glossary
+router.delete('/:id', async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  try {
+    const deleted = await glossaries.deleteGlossary(req.userId, id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Glossary not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Failed to delete glossary:', error);
+    res.status(500).json({ error: 'Failed to delete glossary' });
+  }
+});
+
+module.exports = router;
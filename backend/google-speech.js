@@ -1,30 +1,62 @@
 const axios = require('axios');
+const languages = require('./languages');
+
+const PROVIDER_ID = 'google-speech';
 
 // Google Speech REST API configuration
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 const SPEECH_API_URL = `https://speech.googleapis.com/v1/speech:recognize?key=${GOOGLE_API_KEY}`;
 
+/**
+ * Parse a Google duration string ("1.300s") into seconds
+ * @param {string} value - Duration
+ * @returns {number} Seconds
+ */
+const parseDuration = (value) => parseFloat(String(value || '0').replace('s', '')) || 0;
+
+/**
+ * Map Google word info to the common STT word shape
+ * @param {Array} words - Word info from a REST API alternative
+ * @returns {Array} Words with start/end in seconds
+ */
+const normalizeWords = (words = []) => {
+  return words.map(word => ({
+    word: word.word,
+    start: parseDuration(word.startTime),
+    end: parseDuration(word.endTime),
+    confidence: typeof word.confidence === 'number' ? word.confidence : null,
+    speaker: typeof word.speakerTag === 'number' && word.speakerTag > 0 ? word.speakerTag - 1 : null
+  }));
+};
+
 /**
  * Transcribe audio buffer using Google Speech-to-Text API
  * @param {Buffer} audioBuffer - Raw PCM audio data (16kHz, 16-bit, mono)
- * @param {string} language - Language code (default: 'en-US' for English)
+ * @param {string|null} language - Language code (default: 'en-US' for English; null detects among the candidates)
+ * @param {Object} options - { candidateLanguages: speech codes to detect between (up to 4) }
  * @returns {Promise<Object>} Transcription result
  */
-const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
+const transcribeBuffer = async (audioBuffer, language = 'en-US', { candidateLanguages = [] } = {}) => {
   try {
     console.log('🎤 Google Speech: Starting transcription...');
     console.log('🎤 Audio buffer size:', audioBuffer.length, 'bytes');
-    console.log('🎤 Language:', language);
+    console.log('🎤 Language:', language || `auto-detect (${candidateLanguages.join(', ') || 'en-US'})`);
     
     // Validate audio buffer size
     const minBufferSize = 16000; // ~0.5 seconds at 16kHz 16-bit
     if (audioBuffer.length < minBufferSize) {
-      throw new Error(`Audio buffer too small: ${audioBuffer.length} bytes (minimum: ${minBufferSize} bytes)`);
+      const error = new Error(`Audio buffer too small: ${audioBuffer.length} bytes (minimum: ${minBufferSize} bytes)`);
+      error.input = true; // The audio's fault, not the provider's
+      throw error;
     }
     
     // Convert raw PCM to base64 for Google API
     const audioBase64 = audioBuffer.toString('base64');
     
+    // Google only detects between a primary language and up to three alternatives
+    const primaryLanguage = language || candidateLanguages[0] || 'en-US';
+    const alternativeLanguages = language ? ['en-US'] : candidateLanguages.slice(1, 4);
+    
     // Prepare request configuration for REST API
     const requestBody = {
       audio: {
@@ -33,10 +65,11 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
       config: {
         encoding: 'LINEAR16',
         sampleRateHertz: 16000,
-        languageCode: language,
-        alternativeLanguageCodes: ['en-US'], // Fallback to English
+        languageCode: primaryLanguage,
+        alternativeLanguageCodes: alternativeLanguages, // English fallback, or the auto-detect candidates
         enableAutomaticPunctuation: true,
         enableWordTimeOffsets: true,
+        enableWordConfidence: true,
         useEnhanced: true,
         model: 'latest_long', // Best model for accuracy
         maxAlternatives: 1,
@@ -61,7 +94,8 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
       return {
         transcript: '',
         confidence: 0,
-        language: language
+        language: language,
+        provider: PROVIDER_ID
       };
     }
     
@@ -73,7 +107,8 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
       return {
         transcript: '',
         confidence: 0,
-        language: language
+        language: language,
+        provider: PROVIDER_ID
       };
     }
     
@@ -88,7 +123,9 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
       transcript: transcript.trim(),
       confidence: confidence,
       language: language,
-      words: alternative.words || [],
+      detectedLanguage: language ? null : (transcription.languageCode || null),
+      provider: PROVIDER_ID,
+      words: normalizeWords(alternative.words),
       metadata: {
         model: 'latest_long',
         language: language,
@@ -104,7 +141,9 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
       transcript: '',
       confidence: 0,
       language: language,
-      error: error.message
+      error: error.message,
+      inputError: Boolean(error.input),
+      provider: PROVIDER_ID
     };
   }
 };
@@ -119,6 +158,9 @@ const testConnection = async () => {
     const testBuffer = Buffer.alloc(32000); // 1 second of silence at 16kHz 16-bit
     
     const result = await transcribeBuffer(testBuffer, 'en-US');
+    if (result.error) {
+      throw new Error(result.error);
+    }
     console.log('✅ Google Speech connection test successful');
     return true;
   } catch (error) {
@@ -172,7 +214,41 @@ const getSupportedLanguages = () => {
   ];
 };
 
+/**
+ * STT provider adapter registered in stt-providers.js
+ */
+const provider = {
+  id: PROVIDER_ID,
+  name: 'Google Speech-to-Text',
+  description: 'Google Cloud Speech-to-Text batch transcription (latest_long model)',
+  icon: '🔍',
+  capabilities: {
+    realtime: false,
+    confidence: true,
+    wordTimestamps: true,
+    speakerDiarization: false,
+    languageDetection: true // Between the session's candidate languages only
+  },
+  // Google takes full BCP-47 codes as-is
+  mapLanguage: (speechLanguage) => speechLanguage,
+  getSupportedLanguages: () => {
+    const googleLanguages = getSupportedLanguages();
+    return Object.keys(languages.SPEECH_LANGUAGES).filter(code => googleLanguages.includes(code));
+  },
+  transcribeBuffer: async (audioBuffer, language, options) => {
+    const result = await transcribeBuffer(audioBuffer, language, options);
+    if (result.error) {
+      const error = new Error(result.error);
+      error.input = result.inputError;
+      throw error;
+    }
+    return result;
+  },
+  testConnection
+};
+
 module.exports = {
+  provider,
   transcribeBuffer,
   testConnection,
   getSupportedLanguages
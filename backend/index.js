@@ -10,12 +10,25 @@ const websocketHandler = require('./websocket');
 const translation = require('./translation');
 const languages = require('./languages');
 const sttProviders = require('./stt-providers');
+const translationEngines = require('./translation-engines');
 const { initializeDatabase, checkAuthTables } = require('./db-init');
 const authRoutes = require('./auth-routes');
+const tokenRoutes = require('./token-routes');
+const accountRoutes = require('./account-routes');
+const apiKeyRoutes = require('./api-key-routes');
+const glossaryRoutes = require('./glossary-routes');
+const sessionRoutes = require('./session-routes');
+const uploadRoutes = require('./upload-routes');
+const usageRoutes = require('./usage-routes');
+const plans = require('./plans');
+const { authenticateToken, requireAdmin, requireScope } = require('./auth');
 
 const app = express();
 const server = http.createServer(app);
 
+// Users may only choose the STT providers their subscription plan includes
+sttProviders.setProviderPolicy(plans.providerPolicy);
+
 // Security middleware
 app.use(helmet({
   crossOriginEmbedderPolicy: false
@@ -102,10 +115,10 @@ app.get('/', (req, res) => {
     status: 'running',
     features: [
       'Real-time speech-to-text',
-      'Multi-language translation', 
+      'Multi-language translation (DeepL, OpenAI, LibreTranslate)', 
       'Audio waveform visualization',
       'User authentication',
-      'STT provider: Deepgram Nova-3',
+      'STT providers: Deepgram Nova-3, OpenAI Whisper, Google Speech-to-Text',
       'Theme system (dark/light mode)',
       'User preferences management'
     ],
@@ -113,6 +126,13 @@ app.get('/', (req, res) => {
       auth: '/api/auth/*',
       languages: '/api/languages/*',
       stt: '/api/stt/*',
+      translation: '/api/translation/*',
+      glossaries: '/api/glossaries/*',
+      sessions: '/api/sessions/*',
+      uploads: '/api/uploads/*',
+      usage: '/api/usage/*',
+      apiKeys: '/api/keys/*',
+      plans: '/api/plans',
       health: '/health',
       websocket: '/socket.io/'
     }
@@ -122,6 +142,32 @@ app.get('/', (req, res) => {
 // Authentication routes
 app.use('/api/auth', authRoutes);
 
+// Token refresh and logout routes
+app.use('/api/auth', tokenRoutes);
+
+// Email verification and password reset routes
+app.use('/api/auth', accountRoutes);
+
+// Personal API key management (keys authenticate like access tokens, limited to their scopes)
+app.use('/api/keys', apiKeyRoutes);
+
+// Glossary routes
+app.use('/api/glossaries', glossaryRoutes);
+
+// Transcription session history routes
+app.use('/api/sessions', sessionRoutes);
+
+// File upload transcription routes (multipart, bypasses the JSON body limit)
+app.use('/api/uploads', uploadRoutes);
+
+// Usage metering summaries (per user, plus admin aggregates)
+app.use('/api/usage', usageRoutes);
+
+// Subscription plan catalog
+app.get('/api/plans', (req, res) => {
+  res.json({ plans: plans.getAllPlans(), default: plans.DEFAULT_PLAN });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -195,7 +241,7 @@ app.get('/api/languages/config/:speechLang', (req, res) => {
 });
 
 // STT Provider endpoints
-// Get all available STT providers
+// Get all available STT providers (current is the server default; sessions choose their own over the socket)
 app.get('/api/stt/providers', (req, res) => {
   console.log('🎤 STT providers requested');
   res.json({
@@ -205,6 +251,19 @@ app.get('/api/stt/providers', (req, res) => {
   });
 });
 
+// Get STT providers the authenticated user may choose
+app.get('/api/stt/providers/allowed', authenticateToken, async (req, res) => {
+  try {
+    const allowed = await sttProviders.getAllowedProviders({ userId: req.userId });
+    res.json({
+      providers: sttProviders.getAllProviders().filter(provider => allowed.includes(provider.id)),
+      default: sttProviders.getCurrentProvider()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get current STT provider
 app.get('/api/stt/provider/current', (req, res) => {
   const current = sttProviders.getCurrentProvider();
@@ -217,8 +276,8 @@ app.get('/api/stt/provider/current', (req, res) => {
   });
 });
 
-// Switch STT provider
-app.post('/api/stt/provider/switch', (req, res) => {
+// Switch the server default STT provider (admin only; running sessions keep their provider)
+app.post('/api/stt/provider/switch', authenticateToken, requireAdmin, (req, res) => {
   const { provider } = req.body;
   
   if (!provider) {
@@ -232,13 +291,13 @@ app.post('/api/stt/provider/switch', (req, res) => {
     sttProviders.setSTTProvider(provider);
     const newConfig = sttProviders.getProviderConfig();
     
-    console.log(`🔄 STT Provider switched to: ${provider}`);
+    console.log(`🔄 Default STT Provider switched to: ${provider}`);
     
     res.json({
       success: true,
-      provider: provider,
+      provider: sttProviders.getCurrentProvider(),
       config: newConfig,
-      message: `Switched to ${newConfig.name}`
+      message: `Default provider switched to ${newConfig.name}`
     });
   } catch (error) {
     res.status(400).json({
@@ -250,7 +309,14 @@ app.post('/api/stt/provider/switch', (req, res) => {
 
 // Test STT provider connection
 app.get('/api/stt/provider/:provider/test', async (req, res) => {
-  const { provider } = req.params;
+  const provider = sttProviders.resolveProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({
+      error: `Unknown STT provider: ${req.params.provider}`,
+      availableProviders: Object.values(sttProviders.STT_PROVIDERS)
+    });
+  }
   
   try {
     const isConnected = await sttProviders.testConnection(provider);
@@ -260,7 +326,8 @@ app.get('/api/stt/provider/:provider/test', async (req, res) => {
       provider: provider,
       config: config,
       connected: isConnected,
-      status: isConnected ? 'Connected' : 'Failed'
+      status: isConnected ? 'Connected' : 'Failed',
+      health: sttProviders.getProviderHealth(provider)
     });
   } catch (error) {
     res.status(500).json({
@@ -271,6 +338,118 @@ app.get('/api/stt/provider/:provider/test', async (req, res) => {
   }
 });
 
+// Translation engine endpoints
+// Get all translation engines (sessions pick one with set-languages)
+app.get('/api/translation/engines', (req, res) => {
+  res.json({
+    engines: translationEngines.getAllEngines(),
+    default: translationEngines.getDefaultEngine(),
+    fallbackChain: translationEngines.getFallbackChain()
+  });
+});
+
+// Get supported languages for a translation engine
+app.get('/api/translation/engines/:engine/languages', async (req, res) => {
+  const engine = translationEngines.resolveEngine(req.params.engine);
+  
+  if (!engine) {
+    return res.status(404).json({
+      error: `Unknown translation engine: ${req.params.engine}`,
+      availableEngines: Object.values(translationEngines.TRANSLATION_ENGINES)
+    });
+  }
+  
+  const languages = await translation.getSupportedLanguages(engine);
+  res.json({
+    engine,
+    configured: translationEngines.getEngine(engine).isConfigured(),
+    ...languages
+  });
+});
+
+// Translate texts for scripts and other API clients ({ texts, sourceLanguage, targetLanguage, engine? })
+const MAX_TRANSLATE_TEXTS = 50;
+const MAX_TRANSLATE_CHARACTERS = 10000;
+
+app.post('/api/translation/translate', authenticateToken, requireScope('translate'), async (req, res) => {
+  const { texts, sourceLanguage, targetLanguage, engine } = req.body || {};
+
+  if (!Array.isArray(texts) || texts.length === 0 || texts.length > MAX_TRANSLATE_TEXTS ||
+    texts.some(text => typeof text !== 'string')) {
+    return res.status(400).json({ error: `texts must be an array of 1-${MAX_TRANSLATE_TEXTS} strings` });
+  }
+  if (texts.reduce((total, text) => total + text.length, 0) > MAX_TRANSLATE_CHARACTERS) {
+    return res.status(400).json({ error: `At most ${MAX_TRANSLATE_CHARACTERS} characters per request` });
+  }
+  if (!languages.isValidTranslationLanguage(sourceLanguage) || !languages.isValidTranslationLanguage(targetLanguage)) {
+    return res.status(400).json({ error: 'Valid sourceLanguage and targetLanguage required' });
+  }
+  const resolvedEngine = engine ? translationEngines.resolveEngine(engine) : translationEngines.getDefaultEngine();
+  if (!resolvedEngine) {
+    return res.status(400).json({ error: `Unknown translation engine: ${engine}` });
+  }
+
+  try {
+    const results = await translation.translateBatch(texts, targetLanguage, sourceLanguage, {
+      engine: resolvedEngine,
+      usage: { userId: req.userId }
+    });
+    res.json({ sourceLanguage, targetLanguage, translations: results });
+  } catch (error) {
+    console.error('❌ Failed to translate:', error);
+    res.status(500).json({ error: 'Failed to translate' });
+  }
+});
+
+// Get translation cache statistics (backend, size, hit/miss ratios)
+app.get('/api/translation/cache/stats', async (req, res) => {
+  res.json(await translation.getCacheStats());
+});
+
+// Clear the translation cache (admin only)
+app.delete('/api/translation/cache', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await translation.clearCache();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get health and circuit breaker state for every STT provider
+app.get('/api/stt/providers/health', (req, res) => {
+  res.json({
+    providers: sttProviders.getAllProviderHealth(),
+    fallbackChain: sttProviders.getFallbackChain()
+  });
+});
+
+// Get health and circuit breaker state for one STT provider
+app.get('/api/stt/provider/:provider/health', (req, res) => {
+  const provider = sttProviders.resolveProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({
+      error: `Unknown STT provider: ${req.params.provider}`,
+      availableProviders: Object.values(sttProviders.STT_PROVIDERS)
+    });
+  }
+  
+  res.json(sttProviders.getProviderHealth(provider));
+});
+
+// Reset a provider's circuit breaker (admin only)
+app.post('/api/stt/provider/:provider/health/reset', authenticateToken, requireAdmin, (req, res) => {
+  const provider = sttProviders.resolveProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown STT provider: ${req.params.provider}` });
+  }
+  
+  sttProviders.resetProviderHealth(provider);
+  res.json({ success: true, health: sttProviders.getProviderHealth(provider) });
+});
+
 // Start server
 const PORT = process.env.PORT || 8080;
 server.listen(PORT, () => {
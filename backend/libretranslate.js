@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+const ENGINE_ID = 'libretranslate';
+
+// Any LibreTranslate-compatible server (self-hosted LibreTranslate, Argos, etc.)
+const getBaseUrl = () => (process.env.LIBRETRANSLATE_URL || '').replace(/\/+$/, '');
+
+// Language lists are fetched once per process
+let languageCache = null;
+
+/**
+ * Translate one or more texts
+ * @param {string[]} texts - Texts to translate
+ * @param {string} sourceLanguage - Source language code (optional, 'auto' when empty)
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<string[]>} Translated texts, in input order
+ */
+const translate = async (texts, sourceLanguage, targetLanguage) => {
+  const response = await axios.post(`${getBaseUrl()}/translate`, {
+    q: texts,
+    source: sourceLanguage ? sourceLanguage.split('-')[0].toLowerCase() : 'auto',
+    target: targetLanguage.split('-')[0].toLowerCase(),
+    format: 'text',
+    api_key: process.env.LIBRETRANSLATE_API_KEY || undefined
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 15000
+  });
+
+  const translated = response.data?.translatedText;
+  if (translated === undefined) {
+    throw new Error(response.data?.error || 'LibreTranslate returned no translation');
+  }
+
+  // Older servers answer a single string even for array input
+  return Array.isArray(translated) ? translated : [translated];
+};
+
+/**
+ * Get supported source and target languages
+ * @returns {Promise<Object>} { source, target } language codes
+ */
+const getLanguages = async () => {
+  if (!languageCache) {
+    const response = await axios.get(`${getBaseUrl()}/languages`, { timeout: 10000 });
+    const languages = response.data || [];
+    const targets = new Set();
+    languages.forEach(language => (language.targets || [language.code]).forEach(code => targets.add(code)));
+
+    languageCache = {
+      source: languages.map(language => language.code),
+      target: Array.from(targets)
+    };
+  }
+
+  return languageCache;
+};
+
+/**
+ * Translation engine adapter registered in translation-engines.js
+ */
+const engine = {
+  id: ENGINE_ID,
+  name: 'LibreTranslate',
+  description: 'LibreTranslate-compatible HTTP translation server',
+  icon: '🗽',
+  capabilities: {
+    formality: false,
+    glossary: false,
+    batch: true,
+    autoDetect: true
+  },
+  isConfigured: () => Boolean(getBaseUrl()),
+  translate,
+  getLanguages,
+  testConnection: async () => {
+    try {
+      const languages = await getLanguages();
+      return languages.source.length > 0;
+    } catch (error) {
+      console.error('❌ LibreTranslate connection test failed:', error.message);
+      return false;
+    }
+  }
+};
+
+module.exports = {
+  engine,
+  translate,
+  getLanguages
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Mail transport interface
+ *
+ * A transport factory receives the mail config and returns an object with a
+ * send method; register extra ones with registerTransport.
+ *
+ * @typedef {Object} MailTransport
+ * @property {function(Object): Promise<Object>} send - Sends { from, to, subject, text, html }; throws on failure
+ */
+
+/**
+ * Mail configuration
+ * MAIL_TRANSPORT selects the transport: 'smtp' (default when SMTP_HOST is set),
+ * 'file' (writes each message to MAIL_DIR) or 'console' (logs it; default otherwise)
+ */
+const MAIL_CONFIG = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.MAIL_FROM || process.env.SMTP_FROM || 'VoxMiro <no-reply@voxmiro.com>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  directory: process.env.MAIL_DIR || path.join(os.tmpdir(), 'voxmiro-mail')
+};
+
+/**
+ * SMTP transport (nodemailer)
+ * @param {Object} config - Mail configuration
+ * @returns {MailTransport}
+ */
+const createSmtpTransport = (config) => {
+  if (!config.smtp.host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  // Required lazily so development setups without SMTP never load nodemailer
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+/**
+ * File transport for local development: one JSON file per message
+ * @param {Object} config - Mail configuration
+ * @returns {MailTransport}
+ */
+const createFileTransport = (config) => ({
+  send: async (message) => {
+    await fs.promises.mkdir(config.directory, { recursive: true });
+    const file = path.join(config.directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+    return { id: file };
+  }
+});
+
+/**
+ * Console transport for local development
+ * @returns {MailTransport}
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+});
+
+/**
+ * Transport factories, keyed by MAIL_TRANSPORT value
+ */
+const transportFactories = new Map([
+  ['smtp', createSmtpTransport],
+  ['file', createFileTransport],
+  ['console', createConsoleTransport]
+]);
+
+let transport = null;
+
+/**
+ * Register a mail transport factory
+ * @param {string} name - Transport name selectable with MAIL_TRANSPORT
+ * @param {function(Object): MailTransport} factory - Creates the transport from the mail config
+ */
+const registerTransport = (name, factory) => {
+  if (!name || typeof factory !== 'function') {
+    throw new Error('Mail transport needs a name and a factory function');
+  }
+  transportFactories.set(name, factory);
+  if (name === MAIL_CONFIG.transport) {
+    transport = null;
+  }
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {MailTransport}
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = transportFactories.get(MAIL_CONFIG.transport);
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${MAIL_CONFIG.transport}`);
+    }
+    transport = factory(MAIL_CONFIG);
+    console.log(`📧 Mail transport: ${MAIL_CONFIG.transport}`);
+  }
+  return transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { id } of the sent message
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject || !text) {
+    throw new Error('Mail requires to, subject and text');
+  }
+  return await getTransport().send({ from: MAIL_CONFIG.from, to, subject, text, html });
+};
+
+module.exports = {
+  MAIL_CONFIG,
+  registerTransport,
+  sendMail
+};
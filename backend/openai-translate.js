@@ -0,0 +1,122 @@
+const OpenAI = require('openai');
+
+const ENGINE_ID = 'openai';
+const DEFAULT_MODEL = process.env.OPENAI_TRANSLATION_MODEL || 'gpt-4o-mini';
+
+// OpenAI client, created on first use so the server still boots without OPENAI_API_KEY
+let openai = null;
+
+const getClient = () => {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+};
+
+/**
+ * Language names used in the prompt, keyed by ISO-639-1 code
+ */
+const LANGUAGE_NAMES = {
+  ar: 'Arabic', bg: 'Bulgarian', bs: 'Bosnian', ca: 'Catalan', cs: 'Czech', cy: 'Welsh',
+  da: 'Danish', de: 'German', el: 'Greek', en: 'English', es: 'Spanish', et: 'Estonian',
+  eu: 'Basque', fa: 'Persian', fi: 'Finnish', fr: 'French', ga: 'Irish', gl: 'Galician',
+  he: 'Hebrew', hi: 'Hindi', hr: 'Croatian', hu: 'Hungarian', id: 'Indonesian', is: 'Icelandic',
+  it: 'Italian', ja: 'Japanese', ko: 'Korean', lt: 'Lithuanian', lv: 'Latvian', mk: 'Macedonian',
+  ms: 'Malay', mt: 'Maltese', nb: 'Norwegian Bokmål', nl: 'Dutch', no: 'Norwegian', pl: 'Polish',
+  pt: 'Portuguese', ro: 'Romanian', ru: 'Russian', sk: 'Slovak', sl: 'Slovenian', sq: 'Albanian',
+  sr: 'Serbian', sv: 'Swedish', sw: 'Swahili', th: 'Thai', tr: 'Turkish', uk: 'Ukrainian',
+  ur: 'Urdu', vi: 'Vietnamese', zh: 'Chinese'
+};
+
+const toLanguageName = (language) => {
+  const code = language.split('-')[0].toLowerCase();
+  return LANGUAGE_NAMES[code] || language;
+};
+
+/**
+ * Translate a single text with a chat completion
+ * @param {string} text - Text to translate
+ * @param {string} sourceLanguage - Source language code (optional, auto-detected when empty)
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} options - { formality: 'more' | 'less' | 'default' }
+ * @returns {Promise<string>} Translated text
+ */
+const translateOne = async (text, sourceLanguage, targetLanguage, options = {}) => {
+  const source = sourceLanguage ? `from ${toLanguageName(sourceLanguage)} ` : '';
+  const register = options.formality === 'more'
+    ? ' Use a formal register.'
+    : options.formality === 'less' ? ' Use an informal register.' : '';
+
+  const completion = await getClient().chat.completions.create({
+    model: DEFAULT_MODEL,
+    temperature: 0,
+    messages: [
+      {
+        role: 'system',
+        content: `You are a professional translator. Translate the user's text ${source}into ${toLanguageName(targetLanguage)}.${register} ` +
+          'Reply with the translation only, keep the meaning, names and punctuation, and never add explanations. ' +
+          'Copy placeholders such as __TERM0__ into the translation unchanged.'
+      },
+      { role: 'user', content: text }
+    ]
+  });
+
+  return completion.choices?.[0]?.message?.content?.trim() || '';
+};
+
+/**
+ * Translate one or more texts
+ * @param {string[]} texts - Texts to translate
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} options - Engine options
+ * @returns {Promise<string[]>} Translated texts, in input order
+ */
+const translate = async (texts, sourceLanguage, targetLanguage, options = {}) => {
+  return Promise.all(texts.map(text => translateOne(text, sourceLanguage, targetLanguage, options)));
+};
+
+/**
+ * Get supported languages (any pair between the known language names)
+ * @returns {Promise<Object>} { source, target } language codes
+ */
+const getLanguages = async () => {
+  const codes = Object.keys(LANGUAGE_NAMES);
+  return { source: codes, target: codes };
+};
+
+/**
+ * Translation engine adapter registered in translation-engines.js
+ */
+const engine = {
+  id: ENGINE_ID,
+  name: 'OpenAI',
+  description: `LLM translation with OpenAI ${DEFAULT_MODEL}`,
+  icon: '🤖',
+  capabilities: {
+    formality: true,
+    glossary: false,
+    batch: false,
+    autoDetect: true
+  },
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  translate,
+  getLanguages,
+  testConnection: async () => {
+    try {
+      const [result] = await translate(['Hello'], 'en', 'de');
+      return Boolean(result);
+    } catch (error) {
+      console.error('❌ OpenAI translation connection test failed:', error.message);
+      return false;
+    }
+  }
+};
+
+module.exports = {
+  engine,
+  translate,
+  getLanguages
+};
@@ -0,0 +1,186 @@
+const pool = require('./database');
+const usage = require('./usage');
+
+// Subscription plans and their limits.
+// A user's plan comes from their subscription while it is active (subscriptions.plan is set
+// from the Stripe price); everyone else, including anonymous sockets, is on the free plan.
+
+const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    monthlyAudioMinutes: 60,
+    maxTranslationTargets: 1,
+    providers: ['deepgram-nova-3'], // null = every provider
+    fileUploads: false
+  },
+  pro: {
+    id: 'pro',
+    name: 'Pro',
+    monthlyAudioMinutes: 1200,
+    maxTranslationTargets: 5,
+    providers: null,
+    fileUploads: true
+  },
+  business: {
+    id: 'business',
+    name: 'Business',
+    monthlyAudioMinutes: 6000,
+    maxTranslationTargets: 10,
+    providers: null,
+    fileUploads: true
+  }
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Subscriptions created before plans existed had a single price, which became Pro
+const DEFAULT_PAID_PLAN = 'pro';
+
+// Stripe subscription statuses that grant the paid plan
+const ACTIVE_STATUSES = ['active', 'trialing'];
+
+// Stripe price ID -> plan (STRIPE_PRICE_PRO, STRIPE_PRICE_BUSINESS)
+const getPlanForPrice = (priceId) => {
+  const plan = Object.keys(PLANS).find(id => priceId && process.env[`STRIPE_PRICE_${id.toUpperCase()}`] === priceId);
+  return plan || DEFAULT_PAID_PLAN;
+};
+
+const getPlan = (planId) => PLANS[planId] || PLANS[DEFAULT_PLAN];
+
+// Plan catalog for clients
+const getAllPlans = () => Object.values(PLANS);
+
+// Current plan of a user (the free plan without an active subscription)
+const getUserPlan = async (userId) => {
+  if (!userId) {
+    return getPlan(DEFAULT_PLAN);
+  }
+
+  try {
+    const result = await pool.query('SELECT plan, status FROM subscriptions WHERE user_id = $1', [userId]);
+    const subscription = result.rows[0];
+    if (subscription && ACTIVE_STATUSES.includes(subscription.status)) {
+      return getPlan(subscription.plan || DEFAULT_PAID_PLAN);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load subscription plan:', error);
+  }
+  return getPlan(DEFAULT_PLAN);
+};
+
+// Audio allowances in use, shared by every socket and upload of one user (or one anonymous
+// client address), keyed 'user:<id>' / 'anonymous:<address>'. Audio is counted down here as it
+// streams, before usage.js records it, so concurrent sessions draw on a single balance.
+// Anonymous usage is never stored, so anonymous balances stay here for the rest of the month.
+const quotaAccounts = new Map();
+
+const getQuotaKey = ({ userId, clientAddress }) =>
+  userId ? `user:${userId}` : `anonymous:${clientAddress || 'unknown'}`;
+
+const getCurrentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Audio used and left in the user's billing period, in seconds
+// Includes metered audio still waiting to be written and audio counted by open sessions
+const getAudioQuota = async (userId, plan) => {
+  const allowedSeconds = plan.monthlyAudioMinutes * 60;
+  let usedSeconds = 0;
+
+  if (userId) {
+    try {
+      const period = await usage.getBillingPeriod(userId);
+      usedSeconds = (await usage.getUsageTotals(userId, period)).totals.audioSeconds +
+        usage.getPendingAudioSeconds(userId);
+    } catch (error) {
+      // A metering outage should not stop paying users from transcribing
+      console.error('❌ Failed to load audio usage, allowing the full quota:', error);
+    }
+
+    const account = quotaAccounts.get(getQuotaKey({ userId }));
+    if (account?.loaded) {
+      usedSeconds = Math.max(usedSeconds, allowedSeconds - account.remainingSeconds);
+    }
+  }
+
+  return {
+    allowedSeconds,
+    usedSeconds,
+    remainingSeconds: Math.max(0, allowedSeconds - usedSeconds)
+  };
+};
+
+// Start drawing on a user's (or anonymous address's) audio allowance; pair with closeAudioQuota
+// identity: { userId, clientAddress }; returns the shared account { plan, remainingSeconds }
+const openAudioQuota = async (identity, plan) => {
+  const key = getQuotaKey(identity);
+  const month = getCurrentMonth();
+
+  let account = quotaAccounts.get(key);
+  if (account && account.month !== month && account.holders === 0) {
+    quotaAccounts.delete(key);
+    account = null;
+  }
+  if (!account) {
+    account = { key, plan, month, remainingSeconds: 0, holders: 0, loaded: false };
+    // Concurrent opens wait for the same load
+    account.ready = getAudioQuota(identity.userId, plan).then(({ remainingSeconds }) => {
+      account.remainingSeconds = remainingSeconds;
+      account.loaded = true;
+    });
+    quotaAccounts.set(key, account);
+
+    // Anonymous balances of past months are no longer needed
+    quotaAccounts.forEach((other, otherKey) => {
+      if (other.month !== month && other.holders === 0) {
+        quotaAccounts.delete(otherKey);
+      }
+    });
+  }
+
+  account.holders += 1;
+  await account.ready;
+  return account;
+};
+
+// Count audio seconds (negative to refund) against an open account; returns the seconds left
+const consumeAudioQuota = (account, seconds) => {
+  account.remainingSeconds -= seconds;
+  return account.remainingSeconds;
+};
+
+// Stop drawing on an account; user balances are reloaded from the usage records on next open
+const closeAudioQuota = (account) => {
+  account.holders = Math.max(0, account.holders - 1);
+  if (account.holders === 0 && account.key.startsWith('user:')) {
+    quotaAccounts.delete(account.key);
+  }
+};
+
+// STT provider policy (see sttProviders.setProviderPolicy): the plan's providers,
+// narrowed further by the server-wide STT_ALLOWED_PROVIDERS list if one is set
+const providerPolicy = async ({ userId, plan } = {}) => {
+  const resolved = plan ? getPlan(plan) : await getUserPlan(userId);
+  const serverAllowed = (process.env.STT_ALLOWED_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean);
+
+  if (serverAllowed.length === 0) {
+    return resolved.providers;
+  }
+  return resolved.providers ? resolved.providers.filter(id => serverAllowed.includes(id)) : serverAllowed;
+};
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  getPlan,
+  getAllPlans,
+  getPlanForPrice,
+  getUserPlan,
+  getAudioQuota,
+  openAudioQuota,
+  consumeAudioQuota,
+  closeAudioQuota,
+  providerPolicy
+};
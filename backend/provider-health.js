@@ -0,0 +1,214 @@
+/**
+ * Provider health tracking and circuit breakers
+ *
+ * Each provider gets a breaker fed with the outcome of recent calls. When the error
+ * rate over the sliding window crosses the threshold the breaker opens and the
+ * provider is skipped until the cool-down passes; then a single trial call is let
+ * through (half-open) and its outcome closes or re-opens the breaker.
+ */
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const HEALTH_CONFIG = {
+  windowMs: parseInt(process.env.STT_HEALTH_WINDOW_MS, 10) || 5 * 60 * 1000, // 5 minutes
+  minRequests: parseInt(process.env.STT_HEALTH_MIN_REQUESTS, 10) || 5,
+  errorRateThreshold: parseFloat(process.env.STT_HEALTH_ERROR_RATE) || 0.5,
+  openDurationMs: parseInt(process.env.STT_HEALTH_OPEN_MS, 10) || 30 * 1000, // 30 seconds
+  trialTimeoutMs: parseInt(process.env.STT_HEALTH_TRIAL_TIMEOUT_MS, 10) || 2 * 60 * 1000 // A trial with no outcome by then is stale
+};
+
+/**
+ * Breakers keyed by provider ID
+ */
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a provider
+ * @param {string} provider - Provider ID
+ * @returns {Object} Breaker state
+ */
+const getBreaker = (provider) => {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, {
+      state: CIRCUIT_STATES.CLOSED,
+      samples: [], // { at, ok, latencyMs, timeout }
+      openedAt: null,
+      trialInFlight: false,
+      trialStartedAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null
+    });
+  }
+  return breakers.get(provider);
+};
+
+/**
+ * Drop samples that fell out of the sliding window
+ * @param {Object} breaker - Breaker state
+ */
+const pruneSamples = (breaker) => {
+  const cutoff = Date.now() - HEALTH_CONFIG.windowMs;
+  while (breaker.samples.length > 0 && breaker.samples[0].at < cutoff) {
+    breaker.samples.shift();
+  }
+};
+
+/**
+ * Check whether a call to the provider may go ahead
+ * @param {string} provider - Provider ID
+ * @returns {boolean} True if the breaker lets the call through
+ */
+const canRequest = (provider) => {
+  const breaker = getBreaker(provider);
+
+  if (breaker.state === CIRCUIT_STATES.OPEN) {
+    if (Date.now() - breaker.openedAt < HEALTH_CONFIG.openDurationMs) {
+      return false;
+    }
+    breaker.state = CIRCUIT_STATES.HALF_OPEN;
+    breaker.trialInFlight = false;
+    console.log(`🟡 Circuit half-open for ${provider}, allowing a trial request`);
+  }
+
+  if (breaker.state === CIRCUIT_STATES.HALF_OPEN) {
+    // A trial whose outcome never got recorded must not block the provider for good
+    if (breaker.trialInFlight && Date.now() - breaker.trialStartedAt < HEALTH_CONFIG.trialTimeoutMs) {
+      return false;
+    }
+    breaker.trialInFlight = true;
+    breaker.trialStartedAt = Date.now();
+  }
+
+  return true;
+};
+
+/**
+ * Give up a half-open trial without an outcome (the call was not made or proved nothing),
+ * so the next call becomes the trial
+ * @param {string} provider - Provider ID
+ */
+const releaseTrial = (provider) => {
+  const breaker = getBreaker(provider);
+  breaker.trialInFlight = false;
+  breaker.trialStartedAt = null;
+};
+
+/**
+ * Open the breaker for a provider
+ * @param {string} provider - Provider ID
+ * @param {Object} breaker - Breaker state
+ */
+const openCircuit = (provider, breaker) => {
+  breaker.state = CIRCUIT_STATES.OPEN;
+  breaker.openedAt = Date.now();
+  breaker.trialInFlight = false;
+  console.warn(`🔴 Circuit opened for ${provider} (${breaker.lastError})`);
+};
+
+/**
+ * Record a successful call
+ * @param {string} provider - Provider ID
+ * @param {number|null} latencyMs - Call duration (null keeps long-running calls out of the latency average)
+ */
+const recordSuccess = (provider, latencyMs = 0) => {
+  const breaker = getBreaker(provider);
+  breaker.samples.push({ at: Date.now(), ok: true, latencyMs, timeout: false });
+  breaker.lastSuccessAt = Date.now();
+  pruneSamples(breaker);
+
+  if (breaker.state !== CIRCUIT_STATES.CLOSED) {
+    console.log(`🟢 Circuit closed for ${provider}`);
+  }
+  breaker.state = CIRCUIT_STATES.CLOSED;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+};
+
+/**
+ * Record a failed or timed-out call
+ * @param {string} provider - Provider ID
+ * @param {Error} error - Failure cause
+ * @param {Object} options - { timeout: true if the call timed out, latencyMs }
+ */
+const recordFailure = (provider, error, { timeout = false, latencyMs = 0 } = {}) => {
+  const breaker = getBreaker(provider);
+  breaker.samples.push({ at: Date.now(), ok: false, latencyMs, timeout });
+  breaker.lastError = error?.message || String(error);
+  breaker.lastErrorAt = Date.now();
+  pruneSamples(breaker);
+
+  // A failed trial re-opens the breaker straight away
+  if (breaker.state === CIRCUIT_STATES.HALF_OPEN) {
+    openCircuit(provider, breaker);
+    return;
+  }
+
+  const failures = breaker.samples.filter(sample => !sample.ok).length;
+  const errorRate = failures / breaker.samples.length;
+  if (breaker.state === CIRCUIT_STATES.CLOSED &&
+      breaker.samples.length >= HEALTH_CONFIG.minRequests &&
+      errorRate >= HEALTH_CONFIG.errorRateThreshold) {
+    openCircuit(provider, breaker);
+  }
+};
+
+/**
+ * Get a health snapshot for a provider
+ * @param {string} provider - Provider ID
+ * @returns {Object} Health snapshot
+ */
+const getHealth = (provider) => {
+  const breaker = getBreaker(provider);
+  pruneSamples(breaker);
+
+  const requests = breaker.samples.length;
+  const failures = breaker.samples.filter(sample => !sample.ok).length;
+  const timeouts = breaker.samples.filter(sample => sample.timeout).length;
+  const timed = breaker.samples.filter(sample => sample.ok && sample.latencyMs !== null);
+  const avgLatencyMs = timed.length > 0
+    ? Math.round(timed.reduce((sum, sample) => sum + sample.latencyMs, 0) / timed.length)
+    : null;
+
+  return {
+    provider,
+    state: breaker.state,
+    healthy: breaker.state === CIRCUIT_STATES.CLOSED,
+    windowMs: HEALTH_CONFIG.windowMs,
+    requests,
+    failures,
+    timeouts,
+    errorRate: requests > 0 ? failures / requests : 0,
+    avgLatencyMs,
+    lastError: breaker.lastError,
+    lastErrorAt: breaker.lastErrorAt ? new Date(breaker.lastErrorAt).toISOString() : null,
+    lastSuccessAt: breaker.lastSuccessAt ? new Date(breaker.lastSuccessAt).toISOString() : null,
+    retryAt: breaker.state === CIRCUIT_STATES.OPEN
+      ? new Date(breaker.openedAt + HEALTH_CONFIG.openDurationMs).toISOString()
+      : null
+  };
+};
+
+/**
+ * Reset a provider's breaker and history
+ * @param {string} provider - Provider ID
+ */
+const resetHealth = (provider) => {
+  breakers.delete(provider);
+  console.log(`🔄 Health reset for ${provider}`);
+};
+
+module.exports = {
+  CIRCUIT_STATES,
+  HEALTH_CONFIG,
+  canRequest,
+  releaseTrial,
+  recordSuccess,
+  recordFailure,
+  getHealth,
+  resetHealth
+};
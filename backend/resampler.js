@@ -0,0 +1,90 @@
+/**
+ * Streaming sample-rate conversion
+ *
+ * Band-limited (windowed-sinc) interpolation: each output sample is a weighted sum of the
+ * input samples around its position, with the filter cut-off lowered when downsampling so
+ * that 44.1/48 kHz capture does not alias into the 16 kHz speech band. Input arrives in
+ * arbitrary chunks; the samples needed by the next output are kept between calls.
+ */
+
+const ZERO_CROSSINGS = 8; // Filter half-width in zero crossings (quality vs. CPU)
+const TABLE_RESOLUTION = 256; // Kernel table entries per zero crossing
+const ROLLOFF = 0.95; // Cut-off as a fraction of the output Nyquist frequency
+
+// Blackman-windowed sinc, sampled once and shared by every resampler
+const KERNEL = (() => {
+  const size = ZERO_CROSSINGS * TABLE_RESOLUTION + 1;
+  const table = new Float32Array(size + 1); // One spare entry for interpolation at the edge
+  for (let i = 0; i < size; i++) {
+    const x = i / TABLE_RESOLUTION;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    const phase = Math.PI * x / ZERO_CROSSINGS;
+    const window = 0.42 + 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+    table[i] = sinc * window;
+  }
+  return table;
+})();
+
+/**
+ * Kernel value at a distance measured in zero crossings
+ * @param {number} x - Distance (>= 0)
+ * @returns {number} Filter weight
+ */
+const kernelAt = (x) => {
+  const position = x * TABLE_RESOLUTION;
+  const index = Math.floor(position);
+  if (index >= KERNEL.length - 1) return 0;
+  const fraction = position - index;
+  return KERNEL[index] + (KERNEL[index + 1] - KERNEL[index]) * fraction;
+};
+
+/**
+ * Create a resampler for one mono stream
+ * @param {number} inputRate - Sample rate of the input (Hz)
+ * @param {number} outputRate - Sample rate wanted (Hz)
+ * @returns {Object} { process(Float32Array) -> Float32Array }
+ */
+const createResampler = (inputRate, outputRate) => {
+  if (inputRate === outputRate) {
+    return { process: (samples) => samples };
+  }
+
+  const step = inputRate / outputRate; // Input samples per output sample
+  const cutoff = Math.min(1, outputRate / inputRate) * ROLLOFF;
+  const halfWidth = ZERO_CROSSINGS / cutoff; // Filter half-width in input samples
+
+  let pending = new Float32Array(0); // Input not yet fully used
+  let position = 0; // Position of the next output sample within pending
+
+  return {
+    process: (samples) => {
+      const input = new Float32Array(pending.length + samples.length);
+      input.set(pending);
+      input.set(samples, pending.length);
+
+      const output = [];
+      // An output sample needs halfWidth input samples on both sides
+      while (position + halfWidth < input.length) {
+        const first = Math.max(0, Math.ceil(position - halfWidth));
+        const last = Math.floor(position + halfWidth);
+        let sum = 0;
+        for (let i = first; i <= last; i++) {
+          sum += input[i] * kernelAt(Math.abs(i - position) * cutoff);
+        }
+        output.push(sum * cutoff);
+        position += step;
+      }
+
+      // Keep the samples the next output still reaches back to
+      const keepFrom = Math.max(0, Math.floor(position - halfWidth));
+      pending = input.slice(keepFrom);
+      position -= keepFrom;
+
+      return Float32Array.from(output);
+    }
+  };
+};
+
+module.exports = {
+  createResampler
+};
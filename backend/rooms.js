@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// Broadcast rooms: one host transcribes, any number of read-only viewers follow along.
+// Rooms live in memory on the instance the host is connected to.
+
+// Join codes avoid characters that are easy to confuse (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const ROOM_CONFIG = {
+  historySize: parseInt(process.env.ROOM_HISTORY_SIZE, 10) || 50, // Final results kept for late joiners
+  maxViewers: parseInt(process.env.ROOM_MAX_VIEWERS, 10) || 500,
+  maxLanguages: parseInt(process.env.ROOM_MAX_LANGUAGES, 10) || 10 // Distinct viewer languages per room
+};
+
+const rooms = new Map();
+
+// Socket.IO room names for everyone in a room and for viewers of one language
+const getChannel = (code) => `room:${code}`;
+const getLanguageChannel = (code, language) => `room:${code}:${language}`;
+
+const generateCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Normalize user-typed codes (case, spaces, dashes)
+const normalizeCode = (code) => typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+
+// Create a room hosted by a socket and return it
+const createRoom = (hostSocketId) => {
+  let code = generateCode();
+  while (rooms.has(code)) {
+    code = generateCode();
+  }
+
+  const room = {
+    code,
+    hostSocketId,
+    paused: false,
+    createdAt: new Date().toISOString(),
+    viewers: new Map(), // socketId -> { language, joinedAt }
+    kicked: new Set(),
+    history: []
+  };
+  rooms.set(code, room);
+
+  console.log(`📺 Room created: ${code} (host ${hostSocketId})`);
+  return room;
+};
+
+const getRoom = (code) => rooms.get(normalizeCode(code)) || null;
+
+// Distinct target languages requested by the room's viewers
+const getViewerLanguages = (room) => {
+  return Array.from(new Set(Array.from(room.viewers.values()).map(viewer => viewer.language)));
+};
+
+// Check whether a language can be added without exceeding the per-room language cap
+const canUseLanguage = (room, language) => {
+  const current = getViewerLanguages(room);
+  return current.includes(language) || current.length < ROOM_CONFIG.maxLanguages;
+};
+
+// Add or update a viewer; returns an error message or null
+const addViewer = (room, socketId, language) => {
+  if (room.kicked.has(socketId)) {
+    return 'You were removed from this room';
+  }
+  if (!room.viewers.has(socketId) && room.viewers.size >= ROOM_CONFIG.maxViewers) {
+    return 'Room is full';
+  }
+  if (!canUseLanguage(room, language)) {
+    return `This room already serves ${ROOM_CONFIG.maxLanguages} languages`;
+  }
+
+  const existing = room.viewers.get(socketId);
+  room.viewers.set(socketId, { language, joinedAt: existing ? existing.joinedAt : new Date().toISOString() });
+  return null;
+};
+
+const removeViewer = (room, socketId) => room.viewers.delete(socketId);
+
+// Remove a viewer and stop them from rejoining with the same connection
+const kickViewer = (room, socketId) => {
+  if (!room.viewers.delete(socketId)) {
+    return false;
+  }
+  room.kicked.add(socketId);
+  return true;
+};
+
+// Keep a bounded history of final results
+const addToHistory = (room, entry) => {
+  room.history.push(entry);
+  if (room.history.length > ROOM_CONFIG.historySize) {
+    room.history.splice(0, room.history.length - ROOM_CONFIG.historySize);
+  }
+};
+
+const endRoom = (code) => {
+  const deleted = rooms.delete(normalizeCode(code));
+  if (deleted) {
+    console.log(`📺 Room ended: ${code}`);
+  }
+  return deleted;
+};
+
+// Public room summary sent to clients
+const describeRoom = (room) => ({
+  code: room.code,
+  paused: room.paused,
+  createdAt: room.createdAt,
+  viewerCount: room.viewers.size,
+  languages: getViewerLanguages(room)
+});
+
+module.exports = {
+  ROOM_CONFIG,
+  getChannel,
+  getLanguageChannel,
+  normalizeCode,
+  createRoom,
+  getRoom,
+  getViewerLanguages,
+  addViewer,
+  removeViewer,
+  kickViewer,
+  addToHistory,
+  endRoom,
+  describeRoom
+};
@@ -3,10 +3,44 @@ CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   email VARCHAR(255) UNIQUE NOT NULL,
   password_hash VARCHAR(255) NOT NULL,
+  tokens_valid_after TIMESTAMP,
+  email_verified_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create refresh tokens table (SHA-256 hashes only; a family is one sign-in, see tokens.js)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  family_id UUID NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create revoked access tokens table (logged-out JWTs by jti, kept until they expire)
+CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+  jti UUID PRIMARY KEY,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Create API keys table (prefix in the clear for lookup, full key as a SHA-256 hash, see api-keys.js)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  prefix CHAR(8) UNIQUE NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create subscriptions table
 CREATE TABLE IF NOT EXISTS subscriptions (
   id SERIAL PRIMARY KEY,
@@ -16,6 +50,7 @@ CREATE TABLE IF NOT EXISTS subscriptions (
   status VARCHAR(50) DEFAULT 'inactive',
   current_period_start TIMESTAMP,
   current_period_end TIMESTAMP,
+  plan VARCHAR(50) DEFAULT 'pro',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -33,9 +68,122 @@ CREATE TABLE IF NOT EXISTS transcripts (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create translation cache table (shared by all backend instances, see translation-cache.js)
+CREATE TABLE IF NOT EXISTS translation_cache (
+  cache_key VARCHAR(64) PRIMARY KEY,
+  value JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Create glossaries table (provider_glossaries maps engine ID to its native glossary ID)
+CREATE TABLE IF NOT EXISTS glossaries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  source_language VARCHAR(10) NOT NULL,
+  target_language VARCHAR(10) NOT NULL,
+  provider_glossaries JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create glossary entries table
+CREATE TABLE IF NOT EXISTS glossary_entries (
+  id SERIAL PRIMARY KEY,
+  glossary_id INTEGER REFERENCES glossaries(id) ON DELETE CASCADE,
+  source_term VARCHAR(500) NOT NULL,
+  target_term VARCHAR(500) NOT NULL
+);
+
+-- Create transcription sessions table
+CREATE TABLE IF NOT EXISTS transcription_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255),
+  speech_language VARCHAR(20),
+  source_language VARCHAR(10),
+  target_languages JSONB DEFAULT '[]',
+  stt_provider VARCHAR(50),
+  translation_engine VARCHAR(50),
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create transcript segments table (start_ms/end_ms are offsets from the session start)
+CREATE TABLE IF NOT EXISTS transcript_segments (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER REFERENCES transcription_sessions(id) ON DELETE CASCADE,
+  sequence INTEGER NOT NULL,
+  transcript TEXT NOT NULL,
+  translation TEXT,
+  translations JSONB DEFAULT '{}',
+  confidence REAL,
+  speaker VARCHAR(100),
+  start_ms INTEGER,
+  end_ms INTEGER,
+  spoken_at TIMESTAMP,
+  stt_provider VARCHAR(50),
+  source_language VARCHAR(10),
+  target_language VARCHAR(10),
+  speaker_id VARCHAR(50),
+  words JSONB DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create usage records table (quantity is audio seconds for 'stt', characters for 'translation')
+CREATE TABLE IF NOT EXISTS usage_records (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  session_id INTEGER REFERENCES transcription_sessions(id) ON DELETE SET NULL,
+  kind VARCHAR(20) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  quantity NUMERIC(14, 3) NOT NULL,
+  cache_hit BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Token revocation ("log out all devices") was added after users first shipped
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMP;
+
+-- Email verification was added after users first shipped; users who signed up before it count as
+-- verified. The backfill runs only when the column is added, so later sign-ups still have to verify
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+    UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+  END IF;
+END $$;
+
+-- Plans were added after subscriptions first shipped (existing subscriptions are Pro, see plans.js)
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS plan VARCHAR(50) DEFAULT 'pro';
+
+-- Speaker IDs and word timings were added after transcript_segments first shipped
+ALTER TABLE transcript_segments ADD COLUMN IF NOT EXISTS speaker_id VARCHAR(50);
+ALTER TABLE transcript_segments ADD COLUMN IF NOT EXISTS words JSONB DEFAULT '[]';
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_stripe_customer_id ON subscriptions(stripe_customer_id);
 CREATE INDEX IF NOT EXISTS idx_transcripts_user_id ON transcripts(user_id);
-CREATE INDEX IF NOT EXISTS idx_transcripts_session_id ON transcripts(session_id); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_transcripts_session_id ON transcripts(session_id);
+CREATE INDEX IF NOT EXISTS idx_translation_cache_last_accessed ON translation_cache(last_accessed_at);
+CREATE INDEX IF NOT EXISTS idx_translation_cache_expires_at ON translation_cache(expires_at); 
+CREATE INDEX IF NOT EXISTS idx_glossaries_user_id ON glossaries(user_id);
+CREATE INDEX IF NOT EXISTS idx_glossary_entries_glossary_id ON glossary_entries(glossary_id);
+CREATE INDEX IF NOT EXISTS idx_transcription_sessions_user_id ON transcription_sessions(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transcript_segments_session_id ON transcript_segments(session_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_revoked_access_tokens_expires_at ON revoked_access_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_usage_records_user_id ON usage_records(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_records_created_at ON usage_records(created_at, kind, provider);
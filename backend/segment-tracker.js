@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+// Segment protocol for transcription results.
+// Every result belongs to a segment with a stable ID. Interim results split the text into a
+// committed (stable) prefix that later revisions keep and a revisable (unstable) tail; the
+// final result replaces the segment once and closes it, so finalized text is never re-sent.
+// stableText + ' ' + unstableText is always the result's transcript. In the rare case a provider
+// changes a committed word, the stable prefix shrinks to what still matches and the result is
+// flagged stableRevised so clients replace the stable text instead of keeping it.
+
+// Words are compared without case or punctuation (providers re-punctuate between revisions)
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+const splitWords = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+// Number of leading words two hypotheses agree on
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && normalizeWord(a[length]) === normalizeWord(b[length])) {
+    length++;
+  }
+  return length;
+};
+
+// Per-session tracker for the segment currently being revised
+const createSegmentTracker = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  let nextNumber = 1;
+  let open = null; // { id, stableWords, lastWords }
+
+  const openSegment = () => {
+    open = { id: `${prefix}-${nextNumber++}`, stableWords: [], lastWords: [] };
+    return open;
+  };
+
+  return {
+    // Interim hypothesis for the open segment (opens one if needed)
+    // Words two consecutive hypotheses agree on become stable; the text always comes from the
+    // latest hypothesis, so re-punctuated stable words are sent as the provider now spells them
+    revise: (text) => {
+      const segment = open || openSegment();
+      const words = splitWords(text);
+      const kept = commonPrefixLength(segment.stableWords, words);
+      const stableRevised = kept < segment.stableWords.length;
+      const stableCount = stableRevised
+        ? kept
+        : Math.max(kept, commonPrefixLength(segment.lastWords, words));
+
+      segment.stableWords = words.slice(0, stableCount);
+      segment.lastWords = words;
+
+      return {
+        segmentId: segment.id,
+        stableText: words.slice(0, stableCount).join(' '),
+        unstableText: words.slice(stableCount).join(' '),
+        stableRevised
+      };
+    },
+
+    // Final text for the open segment (or a new one); closes it
+    finalize: (text) => {
+      const segment = open || openSegment();
+      open = null;
+      return { segmentId: segment.id, stableText: text, unstableText: '', stableRevised: false };
+    },
+
+    // Drop the open segment without a final (the provider retracted it); returns its ID or null
+    discard: () => {
+      const id = open ? open.id : null;
+      open = null;
+      return id;
+    }
+  };
+};
+
+module.exports = {
+  createSegmentTracker
+};
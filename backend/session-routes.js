@@ -0,0 +1,159 @@
+const express = require('express');
+const { authenticateToken, requireScope } = require('./auth');
+const sessions = require('./sessions');
+const transcriptExport = require('./transcript-export');
+const diarization = require('./diarization');
+
+const router = express.Router();
+
+// All session routes belong to the signed-in user
+// API keys read with transcripts:read and change sessions with transcripts:write
+router.use(authenticateToken);
+
+// Session IDs are serial integers
+const parseId = (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: 'Invalid session ID' });
+    return null;
+  }
+  return id;
+};
+
+// List sessions (?limit=&offset=)
+router.get('/', requireScope('transcripts:read'), async (req, res) => {
+  try {
+    res.json(await sessions.listSessions(req.userId, req.query));
+  } catch (error) {
+    console.error('❌ Failed to list sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Get session
+router.get('/:id', requireScope('transcripts:read'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  try {
+    const session = await sessions.getSession(req.userId, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Failed to get session:', error);
+    res.status(500).json({ error: 'Failed to get session' });
+  }
+});
+
+// Get a page of segments (?limit=&offset=)
+router.get('/:id/segments', requireScope('transcripts:read'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  try {
+    const page = await sessions.getSegments(req.userId, id, req.query);
+    if (!page) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(page);
+  } catch (error) {
+    console.error('❌ Failed to get session segments:', error);
+    res.status(500).json({ error: 'Failed to get session segments' });
+  }
+});
+
+// Export session (?format=srt|vtt|txt|json&mode=original|translation|bilingual&language=&merge=&maxLineLength=&speakers=)
+router.get('/:id/export', requireScope('transcripts:read'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  const { error, format, options } = transcriptExport.parseExportOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const session = await sessions.getSession(req.userId, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const segments = await sessions.getAllSegments(id);
+    const { content, contentType, filename } = transcriptExport.exportTranscript(session, segments, format, options);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    console.error('❌ Failed to export session:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+// Rename session
+router.put('/:id', requireScope('transcripts:write'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  const { title } = req.body || {};
+  if (typeof title !== 'string' || !title.trim() || title.length > 255) {
+    return res.status(400).json({ error: 'Session title required (max 255 characters)' });
+  }
+
+  try {
+    const session = await sessions.renameSession(req.userId, id, title.trim());
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ session });
+  } catch (error) {
+    console.error('❌ Failed to rename session:', error);
+    res.status(500).json({ error: 'Failed to rename session' });
+  }
+});
+
+// Rename a speaker across all of a session's segments
+router.put('/:id/speakers/:speakerId', requireScope('transcripts:write'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  const input = { speakerId: req.params.speakerId, name: req.body?.name };
+  const validationError = diarization.validateSpeakerRename(input);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const session = await sessions.getSession(req.userId, id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const updated = await sessions.renameSpeaker(id, input.speakerId, input.name.trim());
+    res.json({ speakerId: input.speakerId, name: input.name.trim(), segmentsUpdated: updated });
+  } catch (error) {
+    console.error('❌ Failed to rename speaker:', error);
+    res.status(500).json({ error: 'Failed to rename speaker' });
+  }
+});
+
+// Delete session
+router.delete('/:id', requireScope('transcripts:write'), async (req, res) => {
+  const id = parseId(req, res);
+  if (!id) return;
+
+  try {
+    const deleted = await sessions.deleteSession(req.userId, id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Failed to delete session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const pool = require('./database');
+
+// Transcription sessions and their final segments, stored per authenticated user
+
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 100;
+
+// Clamp limit/offset query values
+const parsePagination = ({ limit, offset } = {}, defaultLimit = DEFAULT_PAGE_SIZE) => {
+  const parsedLimit = parseInt(limit, 10);
+  const parsedOffset = parseInt(offset, 10);
+  return {
+    limit: Number.isInteger(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_PAGE_SIZE) : defaultLimit,
+    offset: Number.isInteger(parsedOffset) && parsedOffset > 0 ? parsedOffset : 0
+  };
+};
+
+// Map database rows to the API shape
+const toSession = (row) => ({
+  id: row.id,
+  title: row.title,
+  speechLanguage: row.speech_language,
+  sourceLanguage: row.source_language,
+  targetLanguages: row.target_languages || [],
+  sttProvider: row.stt_provider,
+  translationEngine: row.translation_engine,
+  segmentCount: parseInt(row.segment_count, 10) || 0,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  updatedAt: row.updated_at
+});
+
+const toSegment = (row) => ({
+  id: row.id,
+  sequence: row.sequence,
+  transcript: row.transcript,
+  translation: row.translation,
+  translations: row.translations || {},
+  confidence: row.confidence,
+  speaker: row.speaker,
+  speakerId: row.speaker_id,
+  startMs: row.start_ms,
+  endMs: row.end_ms,
+  words: row.words || [],
+  spokenAt: row.spoken_at,
+  provider: row.stt_provider,
+  sourceLanguage: row.source_language,
+  targetLanguage: row.target_language
+});
+
+// Start a session for a user
+const createSession = async (userId, { title = null, speechLanguage, sourceLanguage, targetLanguages, sttProvider, translationEngine }) => {
+  const result = await pool.query(`
+    INSERT INTO transcription_sessions
+      (user_id, title, speech_language, source_language, target_languages, stt_provider, translation_engine)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [userId, title, speechLanguage, sourceLanguage, JSON.stringify(targetLanguages), sttProvider, translationEngine]);
+
+  console.log(`🗂️ Session ${result.rows[0].id} started for user ${userId}`);
+  return toSession(result.rows[0]);
+};
+
+// Mark a session as ended
+const endSession = async (sessionId) => {
+  await pool.query(
+    'UPDATE transcription_sessions SET ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND ended_at IS NULL',
+    [sessionId]
+  );
+};
+
+// Store a final segment
+const addSegment = async (sessionId, segment) => {
+  await pool.query(`
+    INSERT INTO transcript_segments
+      (session_id, sequence, transcript, translation, translations, confidence, speaker,
+       start_ms, end_ms, spoken_at, stt_provider, source_language, target_language, speaker_id, words)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+  `, [
+    sessionId,
+    segment.sequence,
+    segment.transcript,
+    segment.translation,
+    JSON.stringify(segment.translations || {}),
+    segment.confidence,
+    segment.speaker,
+    segment.startMs,
+    segment.endMs,
+    segment.spokenAt,
+    segment.provider,
+    segment.sourceLanguage,
+    segment.targetLanguage,
+    segment.speakerId || null,
+    JSON.stringify(segment.words || [])
+  ]);
+};
+
+// Store many segments in one statement (uploaded files produce them all at once)
+const addSegments = async (sessionId, segments) => {
+  if (segments.length === 0) {
+    return;
+  }
+  await pool.query(`
+    INSERT INTO transcript_segments
+      (session_id, sequence, transcript, translation, translations, confidence, speaker,
+       start_ms, end_ms, spoken_at, stt_provider, source_language, target_language, speaker_id, words)
+    SELECT $1, t.sequence, t.transcript, t.translation, t.translations::jsonb, t.confidence, t.speaker,
+           t.start_ms, t.end_ms, t.spoken_at, t.stt_provider, t.source_language, t.target_language, t.speaker_id,
+           t.words::jsonb
+    FROM unnest(
+      $2::int[], $3::text[], $4::text[], $5::text[], $6::real[], $7::text[],
+      $8::int[], $9::int[], $10::timestamp[], $11::text[], $12::text[], $13::text[], $14::text[], $15::text[]
+    ) AS t(sequence, transcript, translation, translations, confidence, speaker,
+           start_ms, end_ms, spoken_at, stt_provider, source_language, target_language, speaker_id, words)
+  `, [
+    sessionId,
+    segments.map(segment => segment.sequence),
+    segments.map(segment => segment.transcript),
+    segments.map(segment => segment.translation),
+    segments.map(segment => JSON.stringify(segment.translations || {})),
+    segments.map(segment => segment.confidence),
+    segments.map(segment => segment.speaker),
+    segments.map(segment => segment.startMs),
+    segments.map(segment => segment.endMs),
+    segments.map(segment => segment.spokenAt),
+    segments.map(segment => segment.provider),
+    segments.map(segment => segment.sourceLanguage),
+    segments.map(segment => segment.targetLanguage),
+    segments.map(segment => segment.speakerId || null),
+    segments.map(segment => JSON.stringify(segment.words || []))
+  ]);
+};
+
+// List a user's sessions, newest first
+const listSessions = async (userId, pagination = {}) => {
+  const { limit, offset } = parsePagination(pagination, 50);
+  const [sessions, count] = await Promise.all([
+    pool.query(`
+      SELECT s.*, COUNT(t.id) AS segment_count
+      FROM transcription_sessions s
+      LEFT JOIN transcript_segments t ON t.session_id = s.id
+      WHERE s.user_id = $1
+      GROUP BY s.id
+      ORDER BY s.started_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]),
+    pool.query('SELECT COUNT(*)::int AS total FROM transcription_sessions WHERE user_id = $1', [userId])
+  ]);
+
+  return { sessions: sessions.rows.map(toSession), total: count.rows[0].total, limit, offset };
+};
+
+// Get one of a user's sessions (null if not found or not owned)
+const getSession = async (userId, sessionId) => {
+  const result = await pool.query(`
+    SELECT s.*, (SELECT COUNT(*) FROM transcript_segments t WHERE t.session_id = s.id) AS segment_count
+    FROM transcription_sessions s
+    WHERE s.id = $1 AND s.user_id = $2
+  `, [sessionId, userId]);
+  return result.rows.length > 0 ? toSession(result.rows[0]) : null;
+};
+
+// Get a page of a session's segments in spoken order (null if the session is not found or not owned)
+const getSegments = async (userId, sessionId, pagination = {}) => {
+  const session = await getSession(userId, sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const { limit, offset } = parsePagination(pagination);
+  const result = await pool.query(`
+    SELECT * FROM transcript_segments
+    WHERE session_id = $1
+    ORDER BY sequence, id
+    LIMIT $2 OFFSET $3
+  `, [sessionId, limit, offset]);
+
+  return { segments: result.rows.map(toSegment), total: session.segmentCount, limit, offset };
+};
+
+// Get every segment of a session in spoken order, for exports
+const getAllSegments = async (sessionId) => {
+  const result = await pool.query(
+    'SELECT * FROM transcript_segments WHERE session_id = $1 ORDER BY sequence, id',
+    [sessionId]
+  );
+  return result.rows.map(toSegment);
+};
+
+// Rename a session (null if not found or not owned)
+const renameSession = async (userId, sessionId, title) => {
+  const result = await pool.query(`
+    UPDATE transcription_sessions
+    SET title = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND user_id = $3
+    RETURNING id
+  `, [title, sessionId, userId]);
+  return result.rows.length > 0 ? getSession(userId, sessionId) : null;
+};
+
+// Rename a speaker on every segment of a session; returns the number of segments updated
+const renameSpeaker = async (sessionId, speakerId, name) => {
+  const result = await pool.query(
+    'UPDATE transcript_segments SET speaker = $1 WHERE session_id = $2 AND speaker_id = $3',
+    [name, sessionId, speakerId]
+  );
+  return result.rowCount;
+};
+
+// Delete a session and its segments; returns false if not found or not owned
+const deleteSession = async (userId, sessionId) => {
+  const result = await pool.query(
+    'DELETE FROM transcription_sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  if (result.rowCount > 0) {
+    console.log(`🗑️ Session ${sessionId} deleted for user ${userId}`);
+  }
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  parsePagination,
+  createSession,
+  endSession,
+  addSegment,
+  addSegments,
+  listSessions,
+  getSession,
+  getSegments,
+  getAllSegments,
+  renameSession,
+  renameSpeaker,
+  deleteSession
+};
@@ -0,0 +1,210 @@
+const { verifyAccessToken, isTokenError } = require('./auth');
+const apiKeys = require('./api-keys');
+
+// Socket.IO authentication.
+// Clients pass the same JWT the REST API uses in the handshake: io(url, { auth: { token } }).
+// The token is verified on connect; while the socket stays open its expiry is watched,
+// the client is asked to re-authenticate shortly before it, and a grace period keeps a running
+// transcription going while the client fetches a new token. The credential is also checked again
+// periodically, so logging out everywhere or revoking a key reaches sockets that are already open.
+// A personal API key works in place of the token; the socket is then limited to the key's scopes.
+
+const SOCKET_AUTH_CONFIG = {
+  // Anonymous sockets keep working unless SOCKET_ALLOW_ANONYMOUS=false
+  allowAnonymous: process.env.SOCKET_ALLOW_ANONYMOUS !== 'false',
+  reauthLeadMs: parseInt(process.env.SOCKET_REAUTH_LEAD_MS, 10) || 60 * 1000, // reauth-required this long before expiry
+  graceMs: parseInt(process.env.SOCKET_REAUTH_GRACE_MS, 10) || 2 * 60 * 1000, // Kept alive this long after expiry
+  revocationCheckMs: parseInt(process.env.SOCKET_REVOCATION_CHECK_MS, 10) || 5 * 60 * 1000 // Credential re-checked this often
+};
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMER_MS = 2147483647;
+
+// Anonymous policy: receives the socket (handshake headers, origin) and returns whether it may
+// connect without a token. May be async.
+let anonymousPolicy = () => SOCKET_AUTH_CONFIG.allowAnonymous;
+
+// Replace the anonymous policy (e.g. to allow anonymous room viewers only from some origins)
+const setAnonymousPolicy = (policy) => {
+  if (typeof policy !== 'function') {
+    throw new Error('Anonymous socket policy must be a function');
+  }
+  anonymousPolicy = policy;
+};
+
+// Error passed to the client's connect_error handler; data.code tells it what to do next
+const createAuthError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+// Socket error codes for token failures
+const TOKEN_ERROR_CODES = {
+  TokenExpiredError: { code: 'token_expired', message: 'Access token expired' },
+  TokenRevokedError: { code: 'token_revoked', message: 'Access token revoked' }
+};
+
+// Verify a handshake or re-authentication token or API key ("Bearer " prefix optional)
+// Returns { userId, expiresAt, scopes }; scopes is null for access tokens (no restriction)
+const verifySocketToken = async (token) => {
+  if (typeof token !== 'string' || !token.trim()) {
+    throw createAuthError('Access token required', 'auth_required');
+  }
+  const credential = token.replace(/^Bearer\s+/i, '').trim();
+
+  if (apiKeys.isApiKey(credential)) {
+    try {
+      const { userId, expiresAt, scopes } = await apiKeys.verifyApiKey(credential);
+      return { userId, expiresAt, scopes };
+    } catch (error) {
+      if (error.name !== 'ApiKeyError') {
+        throw error;
+      }
+      throw createAuthError(error.message, error.expired ? 'api_key_expired' : 'invalid_api_key');
+    }
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(credential);
+  } catch (error) {
+    if (!isTokenError(error)) {
+      throw error;
+    }
+    const { code, message } = TOKEN_ERROR_CODES[error.name] || { code: 'invalid_token', message: 'Invalid access token' };
+    throw createAuthError(message, code);
+  }
+
+  return {
+    userId: decoded.userId,
+    expiresAt: decoded.exp ? decoded.exp * 1000 : null,
+    scopes: null
+  };
+};
+
+// Failures that only mean the credential ran out (the expiry timers handle those, with a grace period)
+const EXPIRED_CODES = ['token_expired', 'api_key_expired'];
+
+// Whether a credential that was valid has since been revoked (or its key deleted)
+const isCredentialRevoked = async (token) => {
+  try {
+    await verifySocketToken(token);
+    return false;
+  } catch (error) {
+    if (!error.data) {
+      throw error;
+    }
+    return !EXPIRED_CODES.includes(error.data.code);
+  }
+};
+
+// io.use middleware: sets socket.data.userId (null for anonymous), socket.data.tokenExpiresAt,
+// socket.data.scopes (null unless connected with an API key) and socket.data.credential
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+
+  try {
+    if (token) {
+      const { userId, expiresAt, scopes } = await verifySocketToken(token);
+      socket.data.userId = userId;
+      socket.data.tokenExpiresAt = expiresAt;
+      socket.data.scopes = scopes;
+      socket.data.credential = token;
+      return next();
+    }
+
+    if (await anonymousPolicy(socket)) {
+      socket.data.userId = null;
+      socket.data.tokenExpiresAt = null;
+      socket.data.scopes = null;
+      socket.data.credential = null;
+      return next();
+    }
+    next(createAuthError('Authentication required', 'auth_required'));
+  } catch (error) {
+    if (!error.data) {
+      console.error('❌ Socket authentication failed:', error);
+    }
+    next(error.data ? error : createAuthError('Authentication failed', 'auth_failed'));
+  }
+};
+
+// Watch a socket's credential: its expiry, and whether it has been revoked
+// handlers: { onReauthRequired(expiresAt), onExpired(), onRevoked() }
+// Returns { renew(credential, expiresAt), stop() }; a null credential (anonymous) is not watched
+const watchTokenExpiry = (credential, expiresAt, { onReauthRequired, onExpired, onRevoked }) => {
+  let checkTimer = null;
+  let expiryTimer = null;
+  let generation = 0; // Bumped by stop(), so a check still awaiting the database knows it is stale
+
+  const stop = () => {
+    generation += 1;
+    clearTimeout(checkTimer);
+    clearTimeout(expiryTimer);
+    checkTimer = null;
+    expiryTimer = null;
+  };
+
+  // setTimeout caps delays at MAX_TIMER_MS, so a later expiry wakes up early and schedules the rest
+  const scheduleExpiry = (at) => {
+    const delay = at - Date.now();
+    expiryTimer = delay > MAX_TIMER_MS
+      ? setTimeout(() => scheduleExpiry(at), MAX_TIMER_MS)
+      : setTimeout(onExpired, Math.max(0, delay));
+  };
+
+  // Re-check the credential every revocationCheckMs and when re-authentication is due
+  // (reauthAt is null once the client has been asked, or for keys that never expire)
+  const scheduleCheck = (reauthAt) => {
+    const untilReauth = reauthAt === null ? Infinity : Math.max(0, reauthAt - Date.now());
+    const reauthDue = untilReauth <= SOCKET_AUTH_CONFIG.revocationCheckMs;
+    const scheduledIn = generation;
+    checkTimer = setTimeout(async () => {
+      let revoked = false;
+      try {
+        revoked = await isCredentialRevoked(credential);
+      } catch (error) {
+        // A database hiccup should not sign anyone out; the next check tries again
+        console.error('❌ Failed to re-check socket credential:', error);
+      }
+      if (generation !== scheduledIn) {
+        return; // Stopped or renewed while checking
+      }
+      if (revoked) {
+        stop();
+        onRevoked();
+        return;
+      }
+      if (reauthDue) {
+        onReauthRequired(expiresAt);
+      }
+      scheduleCheck(reauthDue ? null : reauthAt);
+    }, Math.min(untilReauth, SOCKET_AUTH_CONFIG.revocationCheckMs));
+  };
+
+  const renew = (nextCredential, nextExpiresAt) => {
+    stop();
+    credential = nextCredential;
+    expiresAt = nextExpiresAt;
+    if (!credential) {
+      return;
+    }
+
+    if (expiresAt) {
+      scheduleExpiry(expiresAt + SOCKET_AUTH_CONFIG.graceMs);
+    }
+    scheduleCheck(expiresAt ? expiresAt - SOCKET_AUTH_CONFIG.reauthLeadMs : null);
+  };
+
+  renew(credential, expiresAt);
+  return { renew, stop };
+};
+
+module.exports = {
+  SOCKET_AUTH_CONFIG,
+  setAnonymousPolicy,
+  verifySocketToken,
+  authenticateSocket,
+  watchTokenExpiry
+};
@@ -1,6 +1,7 @@
 const stripeSecretKey = process.env.STRIPE_SECRET_KEY;
 const stripe = stripeSecretKey ? require('stripe')(stripeSecretKey) : null;
 const pool = require('./database');
+const plans = require('./plans');
 
 // Check if Stripe is configured
 const isStripeConfigured = () => {
@@ -46,19 +47,22 @@ const createSubscription = async (customerId, priceId = 'price_1234567890') => {
 const updateSubscriptionInDB = async (userId, subscriptionData) => {
   try {
     const { id, customer, status, current_period_start, current_period_end } = subscriptionData;
+    // The subscribed price decides the plan
+    const plan = plans.getPlanForPrice(subscriptionData.items?.data?.[0]?.price?.id);
     
     const result = await pool.query(`
-      INSERT INTO subscriptions (user_id, stripe_customer_id, stripe_subscription_id, status, current_period_start, current_period_end)
-      VALUES ($1, $2, $3, $4, to_timestamp($5), to_timestamp($6))
+      INSERT INTO subscriptions (user_id, stripe_customer_id, stripe_subscription_id, status, current_period_start, current_period_end, plan)
+      VALUES ($1, $2, $3, $4, to_timestamp($5), to_timestamp($6), $7)
       ON CONFLICT (user_id) 
       DO UPDATE SET 
         stripe_subscription_id = $3,
         status = $4,
         current_period_start = to_timestamp($5),
         current_period_end = to_timestamp($6),
+        plan = $7,
         updated_at = CURRENT_TIMESTAMP
       RETURNING *
-    `, [userId, customer, id, status, current_period_start, current_period_end]);
+    `, [userId, customer, id, status, current_period_start, current_period_end, plan]);
 
     return result.rows[0];
   } catch (error) {
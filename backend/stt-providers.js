@@ -1,62 +1,278 @@
 const googleSpeech = require('./google-speech');
 const whisper = require('./whisper');
 const deepgram = require('./deepgram');
-const languages = require('./languages');
+const providerHealth = require('./provider-health');
+const diarization = require('./diarization');
+const usage = require('./usage');
 
 /**
- * Available STT (Speech-to-Text) providers
+ * STT provider adapter interface
+ *
+ * Every engine module exports a `provider` object of this shape and is passed to
+ * registerProvider below; nothing else in the registry needs to change to add an engine.
+ *
+ * @typedef {Object} STTProviderAdapter
+ * @property {string} id - Provider ID used by the API and sockets (e.g. 'deepgram-nova-3')
+ * @property {string} name - Display name
+ * @property {string} description - Short description
+ * @property {string} icon - Display icon
+ * @property {Object} capabilities - { realtime, confidence, wordTimestamps, speakerDiarization, languageDetection }
+ * @property {function(string): string} mapLanguage - Maps an app speech language (cs-CZ) to the engine's code
+ * @property {function(): string[]} getSupportedLanguages - App speech language codes the engine accepts
+ * @property {function(Buffer, string|null, Object): Promise<STTResult>} transcribeBuffer - Transcribes 16kHz mono PCM; throws on failure.
+ *   A null language asks engines with languageDetection to detect it; options: { candidateLanguages }
+ * @property {function(): Promise<boolean>} testConnection - Checks credentials and reachability
+ * @property {function(string, Object, Object): Object} [createLiveStream] - Opens a live stream (realtime engines only); options: { diarize, candidateLanguages };
+ *   returns null when it cannot stream the request (the caller then uses batch transcription)
+ * @property {function(string, string, Object): Promise<STTResult>} [transcribeFile] - Transcribes an uploaded audio/video file into segments;
+ *   options: { signal } aborts the request when the caller gives up on it
  */
-const STT_PROVIDERS = {
-  DEEPGRAM_NOVA3: 'deepgram-nova-3'
+
+/**
+ * Normalized transcription result returned by every adapter
+ *
+ * @typedef {Object} STTResult
+ * @property {string} transcript - Transcribed text ('' when nothing was recognized)
+ * @property {number} confidence - 0..1 confidence (engines without scores report a fixed value)
+ * @property {string} language - Language the engine transcribed in
+ * @property {string} provider - ID of the provider that produced the result
+ * @property {string|null} [detectedLanguage] - Language the engine detected when asked to (base code, e.g. 'cs')
+ * @property {STTWord[]} [words] - Word timings, when the engine reports them
+ * @property {Array<Object>} [segments] - File results only: { transcript, startMs, endMs, confidence, speaker, words }
+ */
+
+/**
+ * Word-level timing shared by every adapter
+ *
+ * @typedef {Object} STTWord
+ * @property {string} word - Word as displayed (with punctuation when the engine adds it)
+ * @property {number} start - Seconds from the start of the submitted audio (or of the live stream)
+ * @property {number} end - Seconds from the start of the submitted audio (or of the live stream)
+ * @property {number|null} confidence - 0..1 confidence, null when the engine has none
+ * @property {number|null} speaker - Speaker index when diarizing, otherwise null
+ */
+
+const REQUIRED_METHODS = ['mapLanguage', 'getSupportedLanguages', 'transcribeBuffer', 'testConnection'];
+
+/**
+ * Speech language value that asks the engine to detect the language of each utterance
+ */
+const AUTO_LANGUAGE = 'auto';
+
+/**
+ * Engine language code for a speech language (null = detect)
+ * @param {STTProviderAdapter} adapter - Provider adapter
+ * @param {string} language - App speech language or AUTO_LANGUAGE
+ * @returns {string|null} Engine code
+ */
+const toEngineLanguage = (adapter, language) => {
+  return language === AUTO_LANGUAGE ? null : adapter.mapLanguage(language);
 };
 
 /**
- * Provider configurations and capabilities
+ * Reduce a detected language to its base code (cs-CZ, cs-cz, CS -> cs)
+ * @param {string} language - Language reported by an engine
+ * @returns {string|null} Base code
  */
-const PROVIDER_CONFIG = {
-    [STT_PROVIDERS.DEEPGRAM_NOVA3]: {
-      name: 'Deepgram Nova-3',
-      description: 'Deepgram Nova-3 real-time and batch transcription',
-      realtime: true,
-      confidence: true,
-      wordTimestamps: true,
-      speakerDiarization: true,
-      maxLanguages: 50,
-      icon: '🎧'
-    }
+const normalizeDetectedLanguage = (language) => {
+  return language ? String(language).split('-')[0].toLowerCase() : null;
 };
 
 /**
- * Current default STT provider
+ * Registered provider adapters, keyed by provider ID
  */
-let currentProvider = STT_PROVIDERS.DEEPGRAM_NOVA3;
+const registry = new Map();
 
 /**
- * Set the current STT provider
- * @param {string} provider - Provider name from STT_PROVIDERS
+ * Available STT (Speech-to-Text) providers, keyed by constant name
  */
-const setSTTProvider = (provider) => {
-  const key = provider.toUpperCase().replace(/\W+/g, '_');
-  if (!STT_PROVIDERS[key]) {
+const STT_PROVIDERS = {};
+
+/**
+ * Provider configurations and capabilities, keyed by provider ID
+ */
+const PROVIDER_CONFIG = {};
+
+/**
+ * Build the constant name for a provider ID (deepgram-nova-3 -> DEEPGRAM_NOVA_3)
+ * @param {string} id - Provider ID
+ * @returns {string} Constant name
+ */
+const toProviderKey = (id) => id.toUpperCase().replace(/\W+/g, '_');
+
+/**
+ * Register an STT provider adapter
+ * @param {STTProviderAdapter} adapter - Provider adapter
+ * @param {string} key - Constant name in STT_PROVIDERS (optional, derived from the ID)
+ */
+const registerProvider = (adapter, key = null) => {
+  if (!adapter || !adapter.id) {
+    throw new Error('STT provider adapter must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`STT provider ${adapter.id} is missing: ${missing.join(', ')}`);
+  }
+
+  const capabilities = adapter.capabilities || {};
+  if (capabilities.realtime && typeof adapter.createLiveStream !== 'function') {
+    throw new Error(`STT provider ${adapter.id} declares realtime support without createLiveStream`);
+  }
+
+  registry.set(adapter.id, adapter);
+  STT_PROVIDERS[key || toProviderKey(adapter.id)] = adapter.id;
+  PROVIDER_CONFIG[adapter.id] = {
+    name: adapter.name,
+    description: adapter.description,
+    realtime: Boolean(capabilities.realtime),
+    confidence: Boolean(capabilities.confidence),
+    wordTimestamps: Boolean(capabilities.wordTimestamps),
+    speakerDiarization: Boolean(capabilities.speakerDiarization),
+    languageDetection: Boolean(capabilities.languageDetection),
+    fileUpload: typeof adapter.transcribeFile === 'function',
+    maxLanguages: adapter.getSupportedLanguages().length,
+    icon: adapter.icon
+  };
+};
+
+registerProvider(deepgram.provider, 'DEEPGRAM_NOVA3');
+registerProvider(whisper.provider, 'WHISPER');
+registerProvider(googleSpeech.provider, 'GOOGLE_SPEECH');
+
+/**
+ * Server default STT provider, used by sessions that have not picked their own
+ */
+let currentProvider = registry.has(process.env.STT_DEFAULT_PROVIDER)
+  ? process.env.STT_DEFAULT_PROVIDER
+  : STT_PROVIDERS.DEEPGRAM_NOVA3;
+
+/**
+ * Ordered fallback chain tried after the session's provider fails or its circuit is open
+ */
+const FALLBACK_CHAIN = (process.env.STT_FALLBACK_CHAIN || 'deepgram-nova-3,whisper-1,google-speech')
+  .split(',')
+  .map(provider => provider.trim())
+  .filter(Boolean);
+
+/**
+ * Per-call timeout (ms) for batch transcription; a timeout counts as a provider failure
+ */
+const TRANSCRIBE_TIMEOUT = parseInt(process.env.STT_TIMEOUT_MS, 10) || 15000;
+
+/**
+ * Per-call timeout (ms) for uploaded file transcription
+ */
+const FILE_TRANSCRIBE_TIMEOUT = parseInt(process.env.STT_FILE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Bytes per second of the PCM every engine receives (16kHz Int16 mono), for metering
+ */
+const PCM_BYTES_PER_SECOND = 16000 * 2;
+
+/**
+ * Provider policy: resolves which provider IDs a user may choose.
+ * Receives a context ({ userId, plan }) and returns an array of IDs, or null for no restriction.
+ * May be async.
+ */
+let providerPolicy = () => {
+  const allowed = (process.env.STT_ALLOWED_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean);
+  return allowed.length > 0 ? allowed : null;
+};
+
+/**
+ * Resolve a provider ID or constant name to a registered provider ID
+ * @param {string} provider - Provider ID (deepgram-nova-3) or constant name (DEEPGRAM_NOVA3)
+ * @returns {string|null} Provider ID, or null if unknown
+ */
+const resolveProvider = (provider) => {
+  if (!provider) {
+    return null;
+  }
+  if (registry.has(provider)) {
+    return provider;
+  }
+  return STT_PROVIDERS[toProviderKey(provider)] || STT_PROVIDERS[provider] || null;
+};
+
+/**
+ * Look up a provider adapter, throwing for unknown providers
+ * @param {string} provider - Provider name (optional, defaults to current)
+ * @returns {STTProviderAdapter} Provider adapter
+ */
+const getAdapter = (provider = null) => {
+  const id = resolveProvider(provider || currentProvider);
+  if (!id) {
     throw new Error(`Unknown STT provider: ${provider}`);
   }
-  currentProvider = STT_PROVIDERS[key];
-  console.log(`🎤 STT Provider switched to: ${PROVIDER_CONFIG[currentProvider].name}`);
+  return registry.get(id);
+};
+
+/**
+ * Set the server default STT provider (sessions keep the provider they picked)
+ * @param {string} provider - Provider name from STT_PROVIDERS
+ */
+const setSTTProvider = (provider) => {
+  currentProvider = getAdapter(provider).id;
+  console.log(`🎤 Default STT Provider switched to: ${PROVIDER_CONFIG[currentProvider].name}`);
 };
 
 /**
- * Get current STT provider
- * @returns {string} Current provider name
+ * Get the server default STT provider
+ * @returns {string} Default provider name
  */
 const getCurrentProvider = () => currentProvider;
 
+/**
+ * Replace the provider policy
+ * @param {Function} policy - (context) => string[] | null, may return a Promise
+ */
+const setProviderPolicy = (policy) => {
+  if (typeof policy !== 'function') {
+    throw new Error('STT provider policy must be a function');
+  }
+  providerPolicy = policy;
+};
+
+/**
+ * Get the provider IDs a user may choose
+ * @param {Object} context - { userId, plan } of the requesting session
+ * @returns {Promise<string[]>} Allowed provider IDs
+ */
+const getAllowedProviders = async (context = {}) => {
+  const allowed = await providerPolicy(context);
+  const registered = Array.from(registry.keys());
+  if (!allowed) {
+    return registered;
+  }
+  return registered.filter(id => allowed.includes(id));
+};
+
+/**
+ * Check whether a user may choose a provider
+ * @param {string} provider - Provider name
+ * @param {Object} context - { userId, plan } of the requesting session
+ * @returns {Promise<boolean>} True if allowed
+ */
+const isProviderAllowed = async (provider, context = {}) => {
+  const id = resolveProvider(provider);
+  if (!id) {
+    return false;
+  }
+  const allowed = await getAllowedProviders(context);
+  return allowed.includes(id);
+};
+
 /**
  * Get provider configuration
  * @param {string} provider - Provider name (optional, defaults to current)
  * @returns {Object} Provider configuration
  */
 const getProviderConfig = (provider = null) => {
-  const targetProvider = provider || currentProvider;
+  const targetProvider = resolveProvider(provider || currentProvider);
   return PROVIDER_CONFIG[targetProvider];
 };
 
@@ -65,43 +281,274 @@ const getProviderConfig = (provider = null) => {
  * @returns {Object} All provider configurations
  */
 const getAllProviders = () => {
-  return Object.keys(STT_PROVIDERS).map(key => ({
-    id: STT_PROVIDERS[key],
-    ...PROVIDER_CONFIG[STT_PROVIDERS[key]]
+  return Array.from(registry.keys()).map(id => ({
+    id,
+    ...PROVIDER_CONFIG[id]
   }));
 };
 
 /**
- * Transcribe audio buffer using the current STT provider
+ * Build the ordered list of providers to try for a request
+ * @param {string} provider - Preferred provider (optional, defaults to the server default)
+ * @param {string} language - Speech language code
+ * @param {string[]} allowedProviders - Provider IDs the session may use (optional, all if omitted)
+ * @returns {string[]} Provider IDs, preferred provider first
+ */
+const getFallbackChain = (provider = null, language = null, allowedProviders = null) => {
+  const preferred = getAdapter(provider).id;
+  const chain = [preferred, ...FALLBACK_CHAIN.map(resolveProvider).filter(Boolean)];
+
+  return chain.filter((id, index) => {
+    if (chain.indexOf(id) !== index) {
+      return false;
+    }
+    if (allowedProviders && !allowedProviders.includes(id)) {
+      return false;
+    }
+    // Only fall back to providers that can handle the language (or detect it)
+    if (language === AUTO_LANGUAGE) {
+      return id === preferred || Boolean(registry.get(id).capabilities?.languageDetection);
+    }
+    return id === preferred || !language || registry.get(id).getSupportedLanguages().includes(language);
+  });
+};
+
+/**
+ * Run a provider call with a timeout
+ * @param {Promise} promise - Provider call
+ * @param {number} timeoutMs - Timeout
+ * @param {AbortController} controller - Aborted on timeout, so the call stops instead of running (and billing) on
+ * @returns {Promise} Provider result, rejects with error.timeout = true on timeout
+ */
+const withTimeout = (promise, timeoutMs, controller = null) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.timeout = true;
+      if (controller) {
+        controller.abort(error);
+      }
+      reject(error);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Transcribe audio buffer, failing over along the provider chain
  * @param {Buffer} audioBuffer - Raw PCM audio data
- * @param {string} language - Language code
- * @returns {Promise<Object>} Transcription result
+ * @param {string} language - Language code, or AUTO_LANGUAGE to detect it
+ * @param {string} provider - Preferred provider (optional, defaults to the server default)
+ * @param {Object} options - { fallback: try other providers on failure, allowedProviders: restrict the chain,
+ *   candidateLanguages: languages to detect between, for engines that need hints,
+ *   usage: { userId, sessionId } the billed audio is metered to }
+ * @returns {Promise<Object>} Transcription result; `provider` names the engine that produced it
  */
-const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
-  try {
-    console.log(`🎤 Using ${PROVIDER_CONFIG[currentProvider].name} for transcription`);
-    
-    switch (currentProvider) {
-      case STT_PROVIDERS.DEEPGRAM_NOVA3:
-        // Map language to Deepgram format (use translation lang, e.g., en-US -> en)
-        const dgLang = languages.speechToTranslationLang(language);
-        return await deepgram.transcribeBuffer(audioBuffer, dgLang, 'nova-3');
-        
-      default:
-        throw new Error(`Provider ${currentProvider} not implemented`);
+const transcribeBuffer = async (audioBuffer, language = 'en-US', provider = null, { fallback = true, allowedProviders = null, candidateLanguages = [], usage: usageContext = null } = {}) => {
+  const chain = fallback
+    ? getFallbackChain(provider, language, allowedProviders)
+    : [getAdapter(provider).id];
+  const failures = [];
+
+  for (const id of chain) {
+    const adapter = registry.get(id);
+
+    if (!providerHealth.canRequest(id)) {
+      console.log(`⏭️ Skipping ${adapter.name}: circuit open`);
+      failures.push(`${id}: circuit open`);
+      continue;
     }
-  } catch (error) {
-    console.error(`❌ STT transcription failed with ${currentProvider}:`, error);
-    
-    // Return empty result to prevent cascade failures
-    return {
-      transcript: '',
-      confidence: 0,
-      language: language,
-      error: error.message,
-      provider: currentProvider
-    };
+
+    const startedAt = Date.now();
+    try {
+      console.log(`🎤 Using ${adapter.name} for transcription`);
+
+      const result = await withTimeout(
+        adapter.transcribeBuffer(audioBuffer, toEngineLanguage(adapter, language), { candidateLanguages }),
+        TRANSCRIBE_TIMEOUT
+      );
+      providerHealth.recordSuccess(id, Date.now() - startedAt);
+
+      if (id !== chain[0]) {
+        console.log(`🔀 Transcription served by fallback provider ${adapter.name}`);
+      }
+
+      usage.recordAudio(usageContext, { provider: id, seconds: audioBuffer.length / PCM_BYTES_PER_SECOND });
+
+      return {
+        ...result,
+        detectedLanguage: normalizeDetectedLanguage(result.detectedLanguage),
+        provider: id,
+        fallbackFrom: id !== chain[0] ? chain[0] : null
+      };
+    } catch (error) {
+      // Rejected input (e.g. audio too short) says nothing about the provider's health,
+      // and the other providers would reject it too
+      if (error.input) {
+        console.warn(`⚠️ ${adapter.name} rejected the audio: ${error.message}`);
+        providerHealth.releaseTrial(id);
+        throw error;
+      }
+      console.error(`❌ STT transcription failed with ${id}:`, error.message);
+      providerHealth.recordFailure(id, error, { timeout: Boolean(error.timeout), latencyMs: Date.now() - startedAt });
+      failures.push(`${id}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All STT providers failed (${failures.join('; ')})`);
+};
+
+/**
+ * Transcribe an uploaded audio/video file, failing over to other providers that accept files
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} language - Speech language code
+ * @param {string} provider - Preferred provider (optional, defaults to the server default)
+ * @param {Object} options - { fallback: try other providers on failure, allowedProviders: restrict the chain }
+ * @returns {Promise<Object>} Transcription result with segments; `provider` names the engine that produced it
+ */
+const transcribeFile = async (filePath, language = 'en-US', provider = null, { fallback = true, allowedProviders = null, usage: usageContext = null } = {}) => {
+  const chain = (fallback ? getFallbackChain(provider, language, allowedProviders) : [getAdapter(provider).id])
+    .filter(id => typeof registry.get(id).transcribeFile === 'function');
+  const failures = [];
+
+  if (chain.length === 0) {
+    throw new Error('No available STT provider accepts file uploads');
+  }
+
+  for (const id of chain) {
+    const adapter = registry.get(id);
+
+    if (!providerHealth.canRequest(id)) {
+      console.log(`⏭️ Skipping ${adapter.name}: circuit open`);
+      failures.push(`${id}: circuit open`);
+      continue;
+    }
+
+    try {
+      console.log(`🎤 Using ${adapter.name} for file transcription`);
+
+      // A timed-out upload is cancelled before the next provider starts, so it is never billed twice
+      const controller = new AbortController();
+      const result = await withTimeout(
+        adapter.transcribeFile(filePath, adapter.mapLanguage(language), { signal: controller.signal }),
+        FILE_TRANSCRIBE_TIMEOUT,
+        controller
+      );
+      // File calls take minutes, so they stay out of the live latency average
+      providerHealth.recordSuccess(id, null);
+
+      const segments = result.segments || [];
+      const durationMs = result.durationMs || Math.max(0, ...segments.map(segment => segment.endMs || 0));
+      usage.recordAudio(usageContext, { provider: id, seconds: durationMs / 1000 });
+
+      return {
+        ...result,
+        segments: result.segments || [],
+        provider: id,
+        fallbackFrom: id !== chain[0] ? chain[0] : null
+      };
+    } catch (error) {
+      console.error(`❌ File transcription failed with ${id}:`, error.message);
+      // File limits differ per provider (Whisper's 25 MB cap), so rejected input still fails over
+      if (error.input) {
+        providerHealth.releaseTrial(id);
+      } else {
+        providerHealth.recordFailure(id, error, { timeout: Boolean(error.timeout) });
+      }
+      failures.push(`${id}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All STT providers failed (${failures.join('; ')})`);
+};
+
+/**
+ * Open a live (streaming) transcription session with the session's or the default STT provider
+ * @param {string} language - Speech language code, or AUTO_LANGUAGE to detect it
+ * @param {Object} handlers - { onResult, onError, onClose } callbacks
+ * @param {string} provider - Provider name (optional, defaults to the server default)
+ * @param {Object} options - { diarize: label words by speaker (ignored by engines without diarization),
+ *   candidateLanguages: languages auto mode expects (an engine may return null if it cannot stream them),
+ *   usage: { userId, sessionId } the streamed audio is metered to }
+ * @returns {Object|null} Stream with send(chunk) and finish(), or null if the provider is batch-only
+ */
+const createLiveStream = (language, handlers = {}, provider = null, { diarize = false, candidateLanguages = [], usage: usageContext = null } = {}) => {
+  const adapter = getAdapter(provider);
+  if (!adapter.capabilities?.realtime) {
+    return null;
+  }
+
+  // Let the caller fall back to batch transcription while the provider's circuit is open
+  if (!providerHealth.canRequest(adapter.id)) {
+    console.log(`⏭️ Not opening live stream on ${adapter.name}: circuit open`);
+    return null;
+  }
+
+  const openedAt = Date.now();
+  let receivedResult = false;
+  let failed = false;
+
+  const streamOptions = { diarize: diarize && Boolean(adapter.capabilities.speakerDiarization), candidateLanguages };
+
+  // Streams are billed for the audio sent; meter it once when the stream ends either way
+  let streamedBytes = 0;
+  let metered = false;
+  const meterStream = () => {
+    if (!metered) {
+      metered = true;
+      usage.recordAudio(usageContext, { provider: adapter.id, seconds: streamedBytes / PCM_BYTES_PER_SECOND });
+    }
+  };
+
+  const stream = adapter.createLiveStream(toEngineLanguage(adapter, language), {
+    ...handlers,
+    onResult: (result) => {
+      if (!receivedResult) {
+        receivedResult = true;
+        providerHealth.recordSuccess(adapter.id, Date.now() - openedAt);
+      }
+      if (handlers.onResult) {
+        handlers.onResult({ ...result, detectedLanguage: normalizeDetectedLanguage(result.detectedLanguage), provider: adapter.id });
+      }
+    },
+    onError: (error) => {
+      failed = true;
+      providerHealth.recordFailure(adapter.id, error);
+      if (handlers.onError) {
+        handlers.onError(error);
+      }
+    },
+    onClose: () => {
+      meterStream();
+      // A stream that closed without results or errors (silence, idle close) proves nothing either way
+      if (!receivedResult && !failed) {
+        providerHealth.releaseTrial(adapter.id);
+      }
+      if (handlers.onClose) {
+        handlers.onClose();
+      }
+    }
+  }, streamOptions);
+
+  if (!stream) {
+    providerHealth.releaseTrial(adapter.id);
+    return stream;
   }
+  return {
+    ...stream,
+    send: (chunk) => {
+      streamedBytes += chunk.length;
+      return stream.send(chunk);
+    },
+    finish: () => {
+      meterStream();
+      if (!receivedResult && !failed) {
+        providerHealth.releaseTrial(adapter.id);
+      }
+      return stream.finish();
+    }
+  };
 };
 
 /**
@@ -110,50 +557,88 @@ const transcribeBuffer = async (audioBuffer, language = 'en-US') => {
  * @returns {Promise<boolean>} Connection status
  */
 const testConnection = async (provider = null) => {
-  const targetProvider = provider || currentProvider;
-  
+  const adapter = getAdapter(provider);
+
   try {
-    console.log(`🧪 Testing ${PROVIDER_CONFIG[targetProvider].name} connection...`);
-    
-    switch (targetProvider) {
-      case STT_PROVIDERS.DEEPGRAM_NOVA3:
-        return await deepgram.validateApiKey();
-        
-      default:
-        return false;
-    }
+    console.log(`🧪 Testing ${adapter.name} connection...`);
+    return await adapter.testConnection();
   } catch (error) {
-    console.error(`❌ Connection test failed for ${targetProvider}:`, error);
+    console.error(`❌ Connection test failed for ${adapter.id}:`, error);
     return false;
   }
 };
 
+/**
+ * Get health and circuit breaker state for a provider
+ * @param {string} provider - Provider to check (optional, defaults to current)
+ * @returns {Object} Health snapshot
+ */
+const getProviderHealth = (provider = null) => {
+  return providerHealth.getHealth(getAdapter(provider).id);
+};
+
+/**
+ * Get health for every registered provider
+ * @returns {Array} Health snapshots
+ */
+const getAllProviderHealth = () => {
+  return Array.from(registry.keys()).map(id => providerHealth.getHealth(id));
+};
+
+/**
+ * Reset health tracking for a provider (closes its circuit)
+ * @param {string} provider - Provider ID
+ */
+const resetProviderHealth = (provider) => {
+  providerHealth.resetHealth(getAdapter(provider).id);
+};
+
 /**
  * Get supported languages for current or specified provider
  * @param {string} provider - Provider to check (optional, defaults to current)
  * @returns {Array} Supported language codes
  */
 const getSupportedLanguages = (provider = null) => {
-  const targetProvider = provider || currentProvider;
-  
-  switch (targetProvider) {
-    case STT_PROVIDERS.DEEPGRAM_NOVA3:
-      // Assume same speech languages for simplicity; adjust if needed
-      return Object.keys(languages.SPEECH_LANGUAGES);
-      
-    default:
-      return [];
-  }
+  return getAdapter(provider).getSupportedLanguages();
+};
+
+/**
+ * Convert adapter words to millisecond offsets on a session timeline
+ * @param {STTWord[]} words - Words from an STT result
+ * @param {number} offsetMs - Session time at which the result's audio (or stream) started
+ * @returns {Array} { word, startMs, endMs, confidence, speakerId }
+ */
+const toTimedWords = (words = [], offsetMs = 0) => {
+  return (words || []).map(word => ({
+    word: word.word,
+    startMs: Math.round(offsetMs + word.start * 1000),
+    endMs: Math.round(offsetMs + word.end * 1000),
+    confidence: typeof word.confidence === 'number' ? word.confidence : null,
+    speakerId: typeof word.speaker === 'number' ? diarization.toSpeakerId(word.speaker) : null
+  }));
 };
 
 module.exports = {
+  AUTO_LANGUAGE,
   STT_PROVIDERS,
   PROVIDER_CONFIG,
+  registerProvider,
+  resolveProvider,
   setSTTProvider,
   getCurrentProvider,
+  setProviderPolicy,
+  getAllowedProviders,
+  isProviderAllowed,
   getProviderConfig,
   getAllProviders,
+  getFallbackChain,
   transcribeBuffer,
+  transcribeFile,
+  createLiveStream,
   testConnection,
-  getSupportedLanguages
-};
\ No newline at end of file
+  getProviderHealth,
+  getAllProviderHealth,
+  resetProviderHealth,
+  getSupportedLanguages,
+  toTimedWords
+};
@@ -0,0 +1,59 @@
+const express = require('express');
+const { authenticateToken, requireSignIn, verifyAccessToken, refreshSession, logout, logoutAll } = require('./auth');
+
+// Token lifecycle routes, mounted next to the sign-in routes under /api/auth
+
+const router = express.Router();
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refreshToken required' });
+  }
+
+  try {
+    res.json(await refreshSession(refreshToken));
+  } catch (error) {
+    // Unknown, expired, revoked and reused tokens all mean "sign in again"
+    if (error.name === 'RefreshTokenError') {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('❌ Failed to refresh token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out this device (works with an expired access token; the refresh token identifies the sign-in)
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'refreshToken required' });
+  }
+
+  // Revoke the current access token too when it is still valid
+  const authHeader = req.headers['authorization'];
+  const accessToken = authHeader && authHeader.split(' ')[1];
+  const accessTokenPayload = accessToken ? await verifyAccessToken(accessToken).catch(() => null) : null;
+
+  try {
+    await logout(refreshToken, accessTokenPayload);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Failed to log out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log out every device of the signed-in user
+router.post('/logout-all', authenticateToken, requireSignIn, async (req, res) => {
+  try {
+    await logoutAll(req.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Failed to log out all devices:', error);
+    res.status(500).json({ error: 'Failed to log out all devices' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const pool = require('./database');
+
+// Refresh tokens and access token revocation.
+// Refresh tokens are opaque random strings stored only as SHA-256 hashes. Each refresh rotates
+// the token: the old one is marked as replaced and a new one joins the same family (one family
+// per sign-in). Presenting a replaced token again means it was copied, so the whole family is
+// revoked and that device has to sign in again.
+// Access tokens are short-lived JWTs; logout denylists one by its jti until it expires, and
+// "log out all devices" moves users.tokens_valid_after past every token issued so far.
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Errors that mean the client must sign in again (anything else is a server failure)
+const refreshTokenError = (message) => {
+  const error = new Error(message);
+  error.name = 'RefreshTokenError';
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Store a new refresh token for a user (a new family unless continuing one); returns the token
+const issueRefreshToken = async (userId, familyId = crypto.randomUUID(), client = pool) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await client.query(`
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4))
+    RETURNING id
+  `, [userId, familyId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]);
+  return { token, id: result.rows[0].id };
+};
+
+// Revoke every token of a sign-in
+const revokeFamily = async (familyId, client = pool) => {
+  await client.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+// Exchange a refresh token for a new one; returns { userId, refreshToken }
+const rotateRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    throw refreshTokenError('Refresh token required');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Lock the row so two refreshes with the same token cannot both succeed
+    const result = await client.query(
+      'SELECT id, user_id, family_id, expires_at, revoked_at, replaced_by FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(token)]
+    );
+    const stored = result.rows[0];
+
+    if (!stored) {
+      throw refreshTokenError('Invalid refresh token');
+    }
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await revokeFamily(stored.family_id, client);
+        await client.query('COMMIT');
+        console.warn(`🚨 Refresh token reuse detected for user ${stored.user_id}, sign-in revoked`);
+        throw refreshTokenError('Refresh token reuse detected');
+      }
+      throw refreshTokenError('Refresh token revoked');
+    }
+    if (new Date(stored.expires_at) <= new Date()) {
+      throw refreshTokenError('Refresh token expired');
+    }
+
+    const next = await issueRefreshToken(stored.user_id, stored.family_id, client);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $2 WHERE id = $1',
+      [stored.id, next.id]
+    );
+    await client.query('COMMIT');
+
+    return { userId: stored.user_id, refreshToken: next.token };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Revoke the sign-in a refresh token belongs to; returns its user ID, or null if unknown
+const revokeRefreshToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  const result = await pool.query('SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1', [hashToken(token)]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  await revokeFamily(result.rows[0].family_id);
+  return result.rows[0].user_id;
+};
+
+// Denylist one access token until it would have expired anyway
+const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti || !exp) {
+    return;
+  }
+  await pool.query(`
+    INSERT INTO revoked_access_tokens (jti, expires_at)
+    VALUES ($1, to_timestamp($2))
+    ON CONFLICT (jti) DO NOTHING
+  `, [jti, exp]);
+};
+
+// Log a user out everywhere: every refresh token and every access token issued so far
+const revokeAllForUser = async (userId) => {
+  await pool.query(
+    "UPDATE users SET tokens_valid_after = date_trunc('second', CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [userId]
+  );
+  const result = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  console.log(`🔒 All sessions revoked for user ${userId} (${result.rowCount} refresh tokens)`);
+};
+
+// Check a verified access token payload against logouts
+// JWT iat has one-second resolution, so tokens issued within the logout second stay valid
+const isAccessTokenRevoked = async ({ userId, jti, iat }) => {
+  const result = await pool.query(`
+    SELECT
+      (tokens_valid_after IS NOT NULL AND tokens_valid_after > to_timestamp($2)) AS logged_out,
+      EXISTS (SELECT 1 FROM revoked_access_tokens WHERE jti = $3) AS denylisted
+    FROM users
+    WHERE id = $1
+  `, [userId, iat || 0, jti || null]);
+
+  const row = result.rows[0];
+  return !row || row.logged_out || row.denylisted;
+};
+
+// Drop denylist entries and refresh tokens nobody can use any more
+const purgeExpiredTokens = async () => {
+  await pool.query('DELETE FROM revoked_access_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+  await pool.query('DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllForUser,
+  isAccessTokenRevoked,
+  purgeExpiredTokens
+};
@@ -0,0 +1,267 @@
+const languages = require('./languages');
+
+// Render stored session segments as SRT, WebVTT, plain text or JSON
+
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const EXPORT_MODES = ['original', 'translation', 'bilingual'];
+
+const DEFAULT_OPTIONS = {
+  mode: 'original',
+  language: null, // Translation language (defaults to each segment's primary translation)
+  merge: false,
+  minCueMs: 1500, // Cues shorter than this are merged into the next one when merging
+  maxCueMs: 7000, // Merged cues never grow longer than this
+  maxGapMs: 1000, // Segments further apart than this are never merged
+  maxLineLength: 0, // 0 = no wrapping
+  speakers: false
+};
+
+const MIN_CUE_MS = 500;
+const MS_PER_CHARACTER = 60; // Reading-speed estimate for segments stored without timing
+
+const parseBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const parseNumber = (value, fallback, { min = 0, max = Infinity } = {}) => {
+  if (value === undefined || value === '') return fallback;
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+// Validate export query options; returns { error } or { format, options }
+const parseExportOptions = (query = {}) => {
+  const format = (query.format || 'srt').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const mode = (query.mode || DEFAULT_OPTIONS.mode).toLowerCase();
+  if (!EXPORT_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${EXPORT_MODES.join(', ')}` };
+  }
+
+  // The language also ends up in the download filename, so only known codes are accepted
+  const language = query.language || DEFAULT_OPTIONS.language;
+  if (language !== null && (typeof language !== 'string' || !languages.isValidTranslationLanguage(language))) {
+    return { error: 'language must be a supported translation language' };
+  }
+
+  const options = {
+    mode,
+    language,
+    merge: query.merge !== undefined ? parseBoolean(query.merge) : DEFAULT_OPTIONS.merge,
+    minCueMs: parseNumber(query.minCueMs, DEFAULT_OPTIONS.minCueMs, { max: 60000 }),
+    maxCueMs: parseNumber(query.maxCueMs, DEFAULT_OPTIONS.maxCueMs, { min: 1000, max: 120000 }),
+    maxGapMs: parseNumber(query.maxGapMs, DEFAULT_OPTIONS.maxGapMs, { max: 60000 }),
+    maxLineLength: parseNumber(query.maxLineLength, DEFAULT_OPTIONS.maxLineLength, { max: 500 }),
+    speakers: query.speakers !== undefined ? parseBoolean(query.speakers) : DEFAULT_OPTIONS.speakers
+  };
+
+  const invalid = ['minCueMs', 'maxCueMs', 'maxGapMs', 'maxLineLength'].find(key => options[key] === null);
+  if (invalid) {
+    return { error: `Invalid ${invalid}` };
+  }
+
+  return { format, options };
+};
+
+// Pick the translation a segment is exported with
+const getTranslation = (segment, language) => {
+  if (language) {
+    return segment.translations?.[language] ?? (segment.targetLanguage === language ? segment.translation : null);
+  }
+  return segment.translation;
+};
+
+// Turn segments into timed cues, filling in timing for segments stored without it
+const buildCues = (segments, options) => {
+  const cues = [];
+  let cursor = 0;
+
+  segments.forEach(segment => {
+    const estimatedDuration = Math.max(MIN_CUE_MS, segment.transcript.length * MS_PER_CHARACTER);
+    const hasTiming = Number.isInteger(segment.startMs) && Number.isInteger(segment.endMs) && segment.endMs > segment.startMs;
+    const startMs = hasTiming ? segment.startMs : cursor;
+    const endMs = hasTiming ? segment.endMs : startMs + estimatedDuration;
+
+    cues.push({
+      startMs,
+      endMs: Math.max(endMs, startMs + MIN_CUE_MS),
+      speaker: segment.speaker,
+      original: segment.transcript,
+      translation: getTranslation(segment, options.language),
+      words: segment.words || []
+    });
+    cursor = endMs;
+  });
+
+  // Subtitle players expect cues in order and without overlap
+  cues.sort((a, b) => a.startMs - b.startMs);
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    if (next && cue.endMs > next.startMs) {
+      cue.endMs = Math.max(cue.startMs + 1, next.startMs);
+    }
+  });
+
+  return cues;
+};
+
+const joinText = (a, b) => [a, b].filter(Boolean).join(' ');
+
+// Merge short cues into their successor when the same speaker continues shortly after
+const mergeCues = (cues, { minCueMs, maxCueMs, maxGapMs }) => {
+  const merged = [];
+
+  cues.forEach(cue => {
+    const previous = merged[merged.length - 1];
+    const canMerge = previous &&
+      previous.speaker === cue.speaker &&
+      previous.endMs - previous.startMs < minCueMs &&
+      cue.startMs - previous.endMs <= maxGapMs &&
+      cue.endMs - previous.startMs <= maxCueMs;
+
+    if (canMerge) {
+      previous.endMs = cue.endMs;
+      previous.words = previous.words.concat(cue.words);
+      previous.original = joinText(previous.original, cue.original);
+      previous.translation = previous.translation === null && cue.translation === null
+        ? null
+        : joinText(previous.translation, cue.translation);
+    } else {
+      merged.push({ ...cue });
+    }
+  });
+
+  return merged;
+};
+
+// Greedy word wrap; words longer than the limit get a line of their own
+const wrapText = (text, maxLineLength) => {
+  if (!maxLineLength || text.length <= maxLineLength) {
+    return [text];
+  }
+
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).forEach(word => {
+    if (line && line.length + 1 + word.length > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+};
+
+// Text lines of a cue for the selected mode
+const getCueLines = (cue, options) => {
+  const parts = [];
+  if (options.mode !== 'translation') {
+    parts.push(cue.original);
+  }
+  if (options.mode !== 'original' && cue.translation) {
+    parts.push(cue.translation);
+  }
+  return parts.flatMap(part => wrapText(part, options.maxLineLength));
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTimestamp = (ms, separator) => {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+const renderSrt = (cues, options) => {
+  return cues.map((cue, index) => {
+    const lines = getCueLines(cue, options);
+    if (options.speakers && cue.speaker) {
+      lines[0] = `${cue.speaker}: ${lines[0]}`;
+    }
+    return `${index + 1}\n${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}\n${lines.join('\n')}\n`;
+  }).join('\n');
+};
+
+const renderVtt = (cues, options) => {
+  const body = cues.map(cue => {
+    const lines = getCueLines(cue, options);
+    const text = options.speakers && cue.speaker
+      ? lines.map(line => `<v ${cue.speaker}>${line}`).join('\n')
+      : lines.join('\n');
+    return `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}\n${text}\n`;
+  }).join('\n');
+  return `WEBVTT\n\n${body}`;
+};
+
+const renderText = (cues, options, session) => {
+  const header = session.title ? `${session.title}\n\n` : '';
+  const body = cues.map(cue => {
+    const time = `[${formatTimestamp(cue.startMs, '.').slice(0, 8)}]`;
+    const speaker = options.speakers && cue.speaker ? ` ${cue.speaker}:` : '';
+    return `${time}${speaker} ${getCueLines(cue, options).join('\n')}`;
+  }).join('\n\n');
+  return `${header}${body}\n`;
+};
+
+const renderJson = (cues, options, session) => {
+  return JSON.stringify({
+    session,
+    options,
+    cues: cues.map((cue, index) => ({
+      index: index + 1,
+      startMs: cue.startMs,
+      endMs: cue.endMs,
+      start: formatTimestamp(cue.startMs, '.'),
+      end: formatTimestamp(cue.endMs, '.'),
+      speaker: cue.speaker,
+      ...(options.mode !== 'translation' ? { original: cue.original, words: cue.words } : {}),
+      ...(options.mode !== 'original' ? { translation: cue.translation } : {})
+    }))
+  }, null, 2);
+};
+
+const RENDERERS = {
+  srt: renderSrt,
+  vtt: renderVtt,
+  txt: renderText,
+  json: renderJson
+};
+
+// Render a session's segments; returns { content, contentType, filename }
+const exportTranscript = (session, segments, format, options = {}) => {
+  const exportOptions = { ...DEFAULT_OPTIONS, ...options };
+  let cues = buildCues(segments, exportOptions);
+  if (exportOptions.merge) {
+    cues = mergeCues(cues, exportOptions);
+  }
+  if (exportOptions.mode !== 'original') {
+    // Segments without a translation in the chosen language still show their original text
+    cues = cues.map(cue => exportOptions.mode === 'translation' && !cue.translation ? { ...cue, translation: cue.original } : cue);
+  }
+
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  return {
+    content: RENDERERS[format](cues, exportOptions, session),
+    contentType,
+    filename: `session-${session.id}${exportOptions.language ? `-${exportOptions.language}` : ''}.${extension}`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_MODES,
+  parseExportOptions,
+  exportTranscript
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+
+/**
+ * Translation cache backends
+ *
+ * Every backend exposes the same async interface:
+ *   get(key) -> value | null, set(key, value), delete(key), clear(), size(), describe()
+ *
+ * Backends only store values; hit/miss accounting lives in the wrapper returned by
+ * createTranslationCache so every backend reports the same statistics.
+ */
+
+const CACHE_CONFIG = {
+  backend: (process.env.TRANSLATION_CACHE_BACKEND || 'memory').toLowerCase(),
+  maxSize: parseInt(process.env.TRANSLATION_CACHE_MAX_SIZE, 10) || 1000,
+  ttl: parseInt(process.env.TRANSLATION_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000 // 24 hours
+};
+
+/**
+ * In-process cache with least-recently-used eviction
+ * @param {Object} options - { maxSize, ttl }
+ * @returns {Object} Cache backend
+ */
+const createMemoryCache = ({ maxSize = CACHE_CONFIG.maxSize, ttl = CACHE_CONFIG.ttl } = {}) => {
+  // Map iteration order doubles as recency order: oldest first, most recently used last
+  const entries = new Map();
+  let evictions = 0;
+
+  return {
+    name: 'memory',
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Move to the most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+        evictions++;
+      }
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    },
+
+    clear: async () => {
+      entries.clear();
+    },
+
+    size: async () => entries.size,
+
+    describe: () => ({ backend: 'memory', maxSize, ttl, evictions })
+  };
+};
+
+/**
+ * Postgres-backed cache shared by every backend instance and kept across deploys
+ * @param {Object} options - { pool, maxSize, ttl, pruneEvery }
+ * @returns {Object} Cache backend
+ */
+const createPostgresCache = ({ pool, maxSize = CACHE_CONFIG.maxSize, ttl = CACHE_CONFIG.ttl, pruneEvery = 100 } = {}) => {
+  let writesSincePrune = 0;
+  let evictions = 0;
+
+  // Keys can be long sentences, so the table is keyed by their hash
+  const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+  // Drop expired rows and the least recently used rows beyond maxSize
+  const prune = async () => {
+    const expired = await pool.query('DELETE FROM translation_cache WHERE expires_at <= CURRENT_TIMESTAMP');
+    const overflow = await pool.query(`
+      DELETE FROM translation_cache
+      WHERE cache_key IN (
+        SELECT cache_key FROM translation_cache
+        ORDER BY last_accessed_at DESC
+        OFFSET $1
+      )
+    `, [maxSize]);
+    evictions += (expired.rowCount || 0) + (overflow.rowCount || 0);
+  };
+
+  return {
+    name: 'postgres',
+
+    get: async (key) => {
+      // Touch the row in the same statement so recency tracks reads
+      const result = await pool.query(`
+        UPDATE translation_cache
+        SET last_accessed_at = CURRENT_TIMESTAMP
+        WHERE cache_key = $1 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING value
+      `, [hashKey(key)]);
+      return result.rows[0] ? result.rows[0].value : null;
+    },
+
+    set: async (key, value) => {
+      await pool.query(`
+        INSERT INTO translation_cache (cache_key, value, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3::bigint * INTERVAL '1 millisecond')
+        ON CONFLICT (cache_key)
+        DO UPDATE SET
+          value = $2,
+          expires_at = CURRENT_TIMESTAMP + $3::bigint * INTERVAL '1 millisecond',
+          last_accessed_at = CURRENT_TIMESTAMP
+      `, [hashKey(key), JSON.stringify(value), ttl]);
+
+      writesSincePrune++;
+      if (writesSincePrune >= pruneEvery) {
+        writesSincePrune = 0;
+        // Prune in the background so the translation that triggered it is not delayed
+        prune().catch(error => console.error('❌ Translation cache prune failed:', error.message));
+      }
+    },
+
+    delete: async (key) => {
+      await pool.query('DELETE FROM translation_cache WHERE cache_key = $1', [hashKey(key)]);
+    },
+
+    clear: async () => {
+      await pool.query('DELETE FROM translation_cache');
+    },
+
+    size: async () => {
+      const result = await pool.query('SELECT COUNT(*)::int AS count FROM translation_cache WHERE expires_at > CURRENT_TIMESTAMP');
+      return result.rows[0].count;
+    },
+
+    describe: () => ({ backend: 'postgres', maxSize, ttl, evictions })
+  };
+};
+
+/**
+ * Wrap a backend with hit/miss accounting; backend errors count as misses so
+ * translation keeps working when the cache store is unavailable
+ * @param {Object} backend - Cache backend
+ * @returns {Object} Cache with get/set/delete/clear/getStats
+ */
+const createTranslationCache = (backend) => {
+  const counters = { hits: 0, misses: 0, sets: 0, errors: 0 };
+
+  return {
+    backend,
+
+    get: async (key) => {
+      try {
+        const value = await backend.get(key);
+        if (value) {
+          counters.hits++;
+        } else {
+          counters.misses++;
+        }
+        return value;
+      } catch (error) {
+        counters.errors++;
+        counters.misses++;
+        console.error(`❌ Translation cache (${backend.name}) read failed:`, error.message);
+        return null;
+      }
+    },
+
+    set: async (key, value) => {
+      try {
+        await backend.set(key, value);
+        counters.sets++;
+      } catch (error) {
+        counters.errors++;
+        console.error(`❌ Translation cache (${backend.name}) write failed:`, error.message);
+      }
+    },
+
+    delete: (key) => backend.delete(key),
+
+    clear: async () => {
+      await backend.clear();
+      counters.hits = 0;
+      counters.misses = 0;
+      counters.sets = 0;
+      counters.errors = 0;
+    },
+
+    getStats: async () => {
+      const lookups = counters.hits + counters.misses;
+      let size = null;
+      try {
+        size = await backend.size();
+      } catch (error) {
+        console.error(`❌ Translation cache (${backend.name}) size failed:`, error.message);
+      }
+
+      return {
+        ...backend.describe(),
+        size,
+        hits: counters.hits,
+        misses: counters.misses,
+        sets: counters.sets,
+        errors: counters.errors,
+        hitRatio: lookups > 0 ? counters.hits / lookups : 0,
+        missRatio: lookups > 0 ? counters.misses / lookups : 0
+      };
+    }
+  };
+};
+
+/**
+ * Build the cache selected by TRANSLATION_CACHE_BACKEND
+ * @returns {Object} Translation cache
+ */
+const createConfiguredCache = () => {
+  if (CACHE_CONFIG.backend === 'postgres') {
+    const pool = require('./database');
+    console.log('💾 Translation cache: Postgres');
+    return createTranslationCache(createPostgresCache({ pool }));
+  }
+
+  console.log('💾 Translation cache: in-memory LRU');
+  return createTranslationCache(createMemoryCache());
+};
+
+module.exports = {
+  CACHE_CONFIG,
+  createMemoryCache,
+  createPostgresCache,
+  createTranslationCache,
+  createConfiguredCache
+};
@@ -0,0 +1,357 @@
+const deepl = require('./deepl');
+const openaiTranslate = require('./openai-translate');
+const libreTranslate = require('./libretranslate');
+
+/**
+ * Translation engine adapter interface
+ *
+ * Every engine module exports an `engine` object of this shape and is passed to
+ * registerEngine below; nothing else needs to change to add an engine.
+ *
+ * @typedef {Object} TranslationEngineAdapter
+ * @property {string} id - Engine ID used by the API and sockets (e.g. 'deepl')
+ * @property {string} name - Display name
+ * @property {string} description - Short description
+ * @property {string} icon - Display icon
+ * @property {Object} capabilities - { formality, glossary, batch, autoDetect }
+ * @property {function(): boolean} isConfigured - True when credentials/URL are present
+ * @property {function(string[], string, string, Object): Promise<string[]>} translate - Translates texts in order; throws on failure
+ * @property {function(): Promise<Object>} getLanguages - { source, target } language codes
+ * @property {function(): Promise<boolean>} testConnection - Checks credentials and reachability
+ */
+
+const REQUIRED_METHODS = ['isConfigured', 'translate', 'getLanguages', 'testConnection'];
+
+/**
+ * Registered engine adapters, keyed by engine ID
+ */
+const registry = new Map();
+
+/**
+ * Available translation engines, keyed by constant name
+ */
+const TRANSLATION_ENGINES = {};
+
+/**
+ * Engine configurations and capabilities, keyed by engine ID
+ */
+const ENGINE_CONFIG = {};
+
+/**
+ * Register a translation engine adapter
+ * @param {TranslationEngineAdapter} adapter - Engine adapter
+ */
+const registerEngine = (adapter) => {
+  if (!adapter || !adapter.id) {
+    throw new Error('Translation engine adapter must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Translation engine ${adapter.id} is missing: ${missing.join(', ')}`);
+  }
+
+  const capabilities = adapter.capabilities || {};
+  registry.set(adapter.id, adapter);
+  TRANSLATION_ENGINES[adapter.id.toUpperCase().replace(/\W+/g, '_')] = adapter.id;
+  ENGINE_CONFIG[adapter.id] = {
+    name: adapter.name,
+    description: adapter.description,
+    formality: Boolean(capabilities.formality),
+    glossary: Boolean(capabilities.glossary),
+    batch: Boolean(capabilities.batch),
+    autoDetect: Boolean(capabilities.autoDetect),
+    icon: adapter.icon
+  };
+};
+
+registerEngine(deepl.engine);
+registerEngine(openaiTranslate.engine);
+registerEngine(libreTranslate.engine);
+
+/**
+ * Server default translation engine
+ */
+let defaultEngine = registry.has(process.env.TRANSLATION_DEFAULT_ENGINE)
+  ? process.env.TRANSLATION_DEFAULT_ENGINE
+  : TRANSLATION_ENGINES.DEEPL;
+
+/**
+ * Ordered fallback chain tried when an engine fails, runs out of quota or lacks the language pair
+ */
+const FALLBACK_CHAIN = (process.env.TRANSLATION_FALLBACK_CHAIN || 'deepl,openai,libretranslate')
+  .split(',')
+  .map(engine => engine.trim())
+  .filter(Boolean);
+
+/**
+ * Resolve an engine ID or constant name to a registered engine ID
+ * @param {string} engine - Engine ID (deepl) or constant name (DEEPL)
+ * @returns {string|null} Engine ID, or null if unknown
+ */
+const resolveEngine = (engine) => {
+  if (!engine) {
+    return null;
+  }
+  if (registry.has(engine)) {
+    return engine;
+  }
+  return TRANSLATION_ENGINES[engine.toUpperCase().replace(/\W+/g, '_')] || null;
+};
+
+/**
+ * Look up an engine adapter, throwing for unknown engines
+ * @param {string} engine - Engine name (optional, defaults to the server default)
+ * @returns {TranslationEngineAdapter} Engine adapter
+ */
+const getEngine = (engine = null) => {
+  const id = resolveEngine(engine || defaultEngine);
+  if (!id) {
+    throw new Error(`Unknown translation engine: ${engine}`);
+  }
+  return registry.get(id);
+};
+
+/**
+ * Set the server default translation engine
+ * @param {string} engine - Engine name
+ */
+const setDefaultEngine = (engine) => {
+  defaultEngine = getEngine(engine).id;
+  console.log(`🌍 Default translation engine switched to: ${ENGINE_CONFIG[defaultEngine].name}`);
+};
+
+/**
+ * Get the server default translation engine
+ * @returns {string} Engine ID
+ */
+const getDefaultEngine = () => defaultEngine;
+
+/**
+ * Get all engines with their configuration and availability
+ * @returns {Array} Engine descriptions
+ */
+const getAllEngines = () => {
+  return Array.from(registry.values()).map(adapter => ({
+    id: adapter.id,
+    ...ENGINE_CONFIG[adapter.id],
+    configured: adapter.isConfigured()
+  }));
+};
+
+/**
+ * Check whether an engine supports a language pair (unknown lists count as supported)
+ * @param {TranslationEngineAdapter} adapter - Engine adapter
+ * @param {string} sourceLanguage - Source language code (empty for auto-detect)
+ * @param {string} targetLanguage - Target language code
+ * @returns {Promise<boolean>} True if supported
+ */
+const supportsPair = async (adapter, sourceLanguage, targetLanguage) => {
+  let languages;
+  try {
+    languages = await adapter.getLanguages();
+  } catch (error) {
+    return true;
+  }
+  if (!languages || (languages.source.length === 0 && languages.target.length === 0)) {
+    return true;
+  }
+
+  const base = (code) => code.split('-')[0].toLowerCase();
+  const sourceOk = !sourceLanguage || languages.source.some(code => base(code) === base(sourceLanguage));
+  const targetOk = languages.target.some(code => base(code) === base(targetLanguage));
+  return sourceOk && targetOk;
+};
+
+/**
+ * Get supported languages for an engine
+ * @param {string} engine - Engine name (optional, defaults to the server default)
+ * @returns {Promise<Object>} { source, target } language codes
+ */
+const getSupportedLanguages = async (engine = null) => {
+  const adapter = getEngine(engine);
+  if (!adapter.isConfigured()) {
+    return { source: [], target: [] };
+  }
+  try {
+    return await adapter.getLanguages();
+  } catch (error) {
+    console.error(`❌ Failed to get languages for ${adapter.id}:`, error.message);
+    return { source: [], target: [] };
+  }
+};
+
+/**
+ * Build the ordered list of configured engines to try
+ * @param {string} engine - Preferred engine (optional, defaults to the server default)
+ * @returns {string[]} Engine IDs, preferred engine first
+ */
+const getFallbackChain = (engine = null) => {
+  const chain = [getEngine(engine).id, ...FALLBACK_CHAIN.map(resolveEngine).filter(Boolean)];
+  return chain.filter((id, index) => chain.indexOf(id) === index && registry.get(id).isConfigured());
+};
+
+/**
+ * Check whether a glossary covers a language pair
+ * @param {Object} glossary - Glossary ({ sourceLanguage, targetLanguage, entries })
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @returns {boolean} True if the glossary applies
+ */
+const glossaryApplies = (glossary, sourceLanguage, targetLanguage) => {
+  if (!glossary || !glossary.entries || glossary.entries.length === 0 || !sourceLanguage) {
+    return false;
+  }
+  const base = (code) => code.split('-')[0].toLowerCase();
+  return base(glossary.sourceLanguage) === base(sourceLanguage) &&
+    base(glossary.targetLanguage) === base(targetLanguage);
+};
+
+/**
+ * Build a case-insensitive whole-word matcher for a glossary term
+ * @param {string} term - Source term
+ * @returns {RegExp} Matcher
+ */
+const termPattern = (term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+/**
+ * Check whether a text contains any glossary source term
+ * @param {string} text - Source text
+ * @param {Object} glossary - Glossary
+ * @returns {boolean} True if at least one term occurs
+ */
+const containsGlossaryTerm = (text, glossary) => {
+  return glossary.entries.some(entry => termPattern(entry.source).test(text));
+};
+
+/**
+ * Replace glossary terms with placeholders so engines without glossary support leave them alone
+ * @param {string} text - Source text
+ * @param {Object} glossary - Glossary
+ * @returns {Object} { text, terms } where terms[i] is the target term for placeholder i
+ */
+const protectTerms = (text, glossary) => {
+  const terms = [];
+  // Longest terms first so "New York City" wins over "New York"
+  const entries = [...glossary.entries].sort((a, b) => b.source.length - a.source.length);
+
+  let protectedText = text;
+  entries.forEach(entry => {
+    protectedText = protectedText.replace(termPattern(entry.source), () => {
+      terms.push(entry.target);
+      return `__TERM${terms.length - 1}__`;
+    });
+  });
+
+  return { text: protectedText, terms };
+};
+
+/**
+ * Put target terms back in place of their placeholders
+ * @param {string} text - Translated text with placeholders
+ * @param {string[]} terms - Target terms by placeholder index
+ * @returns {string} Translated text
+ */
+const restoreTerms = (text, terms) => {
+  // Engines sometimes add spaces inside or change the case of the placeholder
+  return text.replace(/__\s*TERM\s*(\d+)\s*__/gi, (match, index) => terms[parseInt(index, 10)] ?? match);
+};
+
+/**
+ * Translate texts, failing over along the engine chain
+ * @param {string[]} texts - Texts to translate
+ * @param {string} sourceLanguage - Source language code
+ * @param {string} targetLanguage - Target language code
+ * @param {Object} options - { engine: preferred engine, fallback: try other engines, glossary, formality }
+ * @returns {Promise<Object>} { texts, engine, glossaryMode } where engine is the engine that produced the result
+ */
+const translate = async (texts, sourceLanguage, targetLanguage, { engine = null, fallback = true, glossary = null, ...engineOptions } = {}) => {
+  const chain = fallback ? getFallbackChain(engine) : [getEngine(engine).id].filter(id => registry.get(id).isConfigured());
+  const failures = [];
+
+  if (chain.length === 0) {
+    throw new Error('No translation engine configured');
+  }
+
+  for (const id of chain) {
+    const adapter = registry.get(id);
+
+    if (!(await supportsPair(adapter, sourceLanguage, targetLanguage))) {
+      failures.push(`${id}: ${sourceLanguage}→${targetLanguage} not supported`);
+      continue;
+    }
+
+    try {
+      const useGlossary = glossaryApplies(glossary, sourceLanguage, targetLanguage);
+      const providerGlossaryId = useGlossary && adapter.capabilities?.glossary
+        ? glossary.providerGlossaries?.[id]
+        : null;
+      let translated;
+      let glossaryMode = null;
+
+      if (providerGlossaryId) {
+        // The engine enforces the glossary itself
+        translated = await adapter.translate(texts, sourceLanguage, targetLanguage, { ...engineOptions, glossaryId: providerGlossaryId });
+        glossaryMode = 'native';
+      } else if (useGlossary) {
+        // Shield terms behind placeholders, then swap in the target terms
+        const protectedTexts = texts.map(text => protectTerms(text, glossary));
+        const raw = await adapter.translate(protectedTexts.map(item => item.text), sourceLanguage, targetLanguage, engineOptions);
+        translated = raw.map((text, index) => restoreTerms(text, protectedTexts[index].terms));
+        glossaryMode = 'protected';
+      } else {
+        translated = await adapter.translate(texts, sourceLanguage, targetLanguage, engineOptions);
+      }
+
+      if (id !== chain[0]) {
+        console.log(`🔀 Translation served by fallback engine ${adapter.name}`);
+      }
+      return { texts: translated, engine: id, glossaryMode };
+    } catch (error) {
+      console.error(`❌ Translation failed with ${id}${error.quotaExceeded ? ' (quota exceeded)' : ''}:`, error.message);
+      failures.push(`${id}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All translation engines failed (${failures.join('; ')})`);
+};
+
+/**
+ * Test connection for an engine
+ * @param {string} engine - Engine name (optional, defaults to the server default)
+ * @returns {Promise<boolean>} Connection status
+ */
+const testConnection = async (engine = null) => {
+  const adapter = getEngine(engine);
+  if (!adapter.isConfigured()) {
+    return false;
+  }
+  try {
+    return await adapter.testConnection();
+  } catch (error) {
+    console.error(`❌ Connection test failed for ${adapter.id}:`, error);
+    return false;
+  }
+};
+
+module.exports = {
+  TRANSLATION_ENGINES,
+  ENGINE_CONFIG,
+  registerEngine,
+  resolveEngine,
+  getEngine,
+  setDefaultEngine,
+  getDefaultEngine,
+  getAllEngines,
+  getSupportedLanguages,
+  getFallbackChain,
+  glossaryApplies,
+  containsGlossaryTerm,
+  protectTerms,
+  restoreTerms,
+  translate,
+  testConnection
+};
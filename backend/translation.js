@@ -1,30 +1,23 @@
-const deepl = require('deepl-node');
+const deepl = require('./deepl');
+const translationEngines = require('./translation-engines');
+const { createConfiguredCache } = require('./translation-cache');
+const usage = require('./usage');
 
-// Initialize DeepL client
-let translator = null;
+// Translation cache to avoid re-translating same text (backend, size and TTL come from TRANSLATION_CACHE_* env)
+const translationCache = createConfiguredCache();
 
-// Translation cache to avoid re-translating same text
-const translationCache = new Map();
-const CACHE_MAX_SIZE = 1000;
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
-
-// Initialize DeepL client
+// Initialize every configured translation engine
 const initializeTranslator = () => {
-  const apiKey = process.env.DEEPL_API_KEY;
+  const configured = translationEngines.getAllEngines().filter(engine => engine.configured);
   
-  if (!apiKey) {
-    console.warn('⚠️ DeepL API key not found. Translation features will be disabled.');
+  if (configured.length === 0) {
+    console.warn('⚠️ No translation engine configured. Translation features will be disabled.');
     return false;
   }
   
-  try {
-    translator = new deepl.Translator(apiKey);
-    console.log('✅ DeepL translator initialized successfully');
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to initialize DeepL translator:', error);
-    return false;
-  }
+  deepl.initializeTranslator();
+  console.log(`✅ Translation engines available: ${configured.map(engine => engine.name).join(', ')}`);
+  return true;
 };
 
 // Cache management
@@ -32,77 +25,43 @@ const getCacheKey = (text, targetLanguage) => {
   return `${text.toLowerCase().trim()}|${targetLanguage}`;
 };
 
-const addToCache = (key, result) => {
-  // Implement LRU eviction if cache is full
-  if (translationCache.size >= CACHE_MAX_SIZE) {
-    const firstKey = translationCache.keys().next().value;
-    translationCache.delete(firstKey);
-  }
-  
-  translationCache.set(key, {
+const addToCache = async (key, result) => {
+  await translationCache.set(key, {
     ...result,
     cachedAt: Date.now()
   });
 };
 
-const getFromCache = (key) => {
-  const cached = translationCache.get(key);
-  if (!cached) return null;
-  
-  // Check if cache entry is expired
-  if (Date.now() - cached.cachedAt > CACHE_TTL) {
-    translationCache.delete(key);
-    return null;
-  }
-  
-  return cached;
+const getFromCache = async (key) => {
+  return translationCache.get(key);
 };
 
 // Validate DeepL API key and check usage
-const validateDeepLKey = async () => {
-  if (!translator) {
-    return { valid: false, error: 'Translator not initialized' };
-  }
-  
-  try {
-    const usage = await translator.getUsage();
-    console.log('🔑 DeepL API key is valid');
-    console.log('📊 Translation usage:', {
-      character_count: usage.character.count,
-      character_limit: usage.character.limit,
-      usage_percentage: ((usage.character.count / usage.character.limit) * 100).toFixed(2) + '%'
-    });
-    
-    return {
-      valid: true,
-      usage: {
-        count: usage.character.count,
-        limit: usage.character.limit,
-        percentage: (usage.character.count / usage.character.limit) * 100
-      }
-    };
-  } catch (error) {
-    console.error('❌ DeepL API key validation failed:', error);
-    return { valid: false, error: error.message };
-  }
-};
+const validateDeepLKey = () => deepl.validateDeepLKey();
 
 // Translate text with caching (flexible source and target languages)
-const translateText = async (text, sourceLanguage = 'en', targetLanguage = 'es') => {
-  if (!translator) {
-    console.warn('⚠️ Translator not available');
-    return null;
-  }
-  
+// options.engine selects the session's engine; other configured engines are used as fallbacks
+// options.glossary enforces the user's terminology when it covers this language pair
+// options.usage ({ userId, sessionId }) attributes the metered characters
+const translateText = async (text, sourceLanguage = 'en', targetLanguage = 'es', options = {}) => {
   if (!text || text.trim().length === 0) {
     return '';
   }
   
+  const engine = translationEngines.getEngine(options.engine).id;
+  
+  // Texts containing glossary terms skip the shared cache, which holds unglossaried translations
+  const glossary = translationEngines.glossaryApplies(options.glossary, sourceLanguage, targetLanguage) &&
+    translationEngines.containsGlossaryTerm(text, options.glossary)
+    ? options.glossary
+    : null;
+  
   // Check cache first
-  const cacheKey = getCacheKey(text, `${sourceLanguage}-${targetLanguage}`);
-  const cached = getFromCache(cacheKey);
+  const cacheKey = getCacheKey(text, `${sourceLanguage}-${targetLanguage}|${engine}`);
+  const cached = glossary ? null : await getFromCache(cacheKey);
   if (cached) {
     console.log(`💾 Cache hit for: "${text}"`);
+    usage.recordTranslation(options.usage, { provider: cached.engine || engine, text, cacheHit: true });
     return {
       ...cached,
       fromCache: true,
@@ -111,42 +70,44 @@ const translateText = async (text, sourceLanguage = 'en', targetLanguage = 'es')
   }
   
   try {
-    console.log(`🔄 Translating: "${text}" (${sourceLanguage} → ${targetLanguage})`);
+    console.log(`🔄 Translating: "${text}" (${sourceLanguage} → ${targetLanguage}) with ${engine}`);
     
-    const result = await translator.translateText(
-      text,
-      sourceLanguage, // Source language
-      targetLanguage, // Target language
-      {
-        preserveFormatting: true,
-        formality: 'default'
-      }
-    );
+    const result = await translationEngines.translate([text], sourceLanguage, targetLanguage, {
+      engine,
+      glossary,
+      formality: options.formality
+    });
     
-    const translatedText = result.text;
-    console.log(`✅ Translation result: "${translatedText}"`);
+    const translatedText = result.texts[0];
+    console.log(`✅ Translation result (${result.engine}): "${translatedText}"`);
+    usage.recordTranslation(options.usage, { provider: result.engine, text });
     
     const translationResult = {
       originalText: text,
       translatedText: translatedText,
       sourceLanguage: sourceLanguage,
       targetLanguage: targetLanguage,
+      engine: result.engine,
+      ...(glossary ? { glossaryId: glossary.id, glossaryMode: result.glossaryMode } : {}),
       timestamp: new Date().toISOString(),
       fromCache: false
     };
     
     // Add to cache
-    addToCache(cacheKey, translationResult);
+    if (!glossary) {
+      await addToCache(cacheKey, translationResult);
+    }
     
     return translationResult;
   } catch (error) {
     console.error('❌ Translation failed:', error);
     return {
       originalText: text,
-      translatedText: `[Translation Error: ${error.message}]`,
+      translatedText: text,
       sourceLanguage: sourceLanguage,
       targetLanguage: targetLanguage,
       error: error.message,
+      translationFailed: true,
       timestamp: new Date().toISOString(),
       fromCache: false
     };
@@ -154,29 +115,28 @@ const translateText = async (text, sourceLanguage = 'en', targetLanguage = 'es')
 };
 
 // Batch translate multiple texts (for optimization)
-const translateBatch = async (texts, targetLanguage = 'EN-US') => {
-  if (!translator) {
-    console.warn('⚠️ Translator not available');
-    return texts.map(text => null);
-  }
+const translateBatch = async (texts, targetLanguage = 'EN-US', sourceLanguage = 'cs', options = {}) => {
+  const engine = translationEngines.getEngine(options.engine).id;
   
   // Separate cached and non-cached texts
   const results = new Array(texts.length);
   const needTranslation = [];
   const translationIndices = [];
   
-  texts.forEach((text, index) => {
-    const cacheKey = getCacheKey(text, targetLanguage);
-    const cached = getFromCache(cacheKey);
-    
+  const cachedResults = await Promise.all(
+    texts.map(text => getFromCache(getCacheKey(text, `${sourceLanguage}-${targetLanguage}|${engine}`)))
+  );
+  
+  cachedResults.forEach((cached, index) => {
     if (cached) {
+      usage.recordTranslation(options.usage, { provider: cached.engine || engine, text: texts[index], cacheHit: true });
       results[index] = {
         ...cached,
         fromCache: true,
         timestamp: new Date().toISOString()
       };
     } else {
-      needTranslation.push(text);
+      needTranslation.push(texts[index]);
       translationIndices.push(index);
     }
   });
@@ -186,44 +146,42 @@ const translateBatch = async (texts, targetLanguage = 'EN-US') => {
     try {
       console.log(`🔄 Batch translating ${needTranslation.length} texts`);
       
-      const translationResults = await translator.translateText(
-        needTranslation,
-        'cs',
-        targetLanguage,
-        {
-          preserveFormatting: true,
-          formality: 'default'
-        }
-      );
+      const translationResults = await translationEngines.translate(needTranslation, sourceLanguage, targetLanguage, {
+        engine,
+        formality: options.formality
+      });
       
-      translationResults.forEach((result, i) => {
+      await Promise.all(translationResults.texts.map(async (translatedText, i) => {
         const originalText = needTranslation[i];
+        usage.recordTranslation(options.usage, { provider: translationResults.engine, text: originalText });
         const translationResult = {
           originalText: originalText,
-          translatedText: result.text,
-          sourceLanguage: 'cs',
+          translatedText: translatedText,
+          sourceLanguage: sourceLanguage,
           targetLanguage: targetLanguage,
+          engine: translationResults.engine,
           timestamp: new Date().toISOString(),
           fromCache: false
         };
         
-        // Add to cache
-        const cacheKey = getCacheKey(originalText, targetLanguage);
-        addToCache(cacheKey, translationResult);
-        
         // Store in results array
         const originalIndex = translationIndices[i];
         results[originalIndex] = translationResult;
-      });
+        
+        // Add to cache
+        const cacheKey = getCacheKey(originalText, `${sourceLanguage}-${targetLanguage}|${engine}`);
+        await addToCache(cacheKey, translationResult);
+      }));
     } catch (error) {
       console.error('❌ Batch translation failed:', error);
       translationIndices.forEach((index, i) => {
         results[index] = {
           originalText: needTranslation[i],
-          translatedText: `[Translation Error: ${error.message}]`,
-          sourceLanguage: 'cs',
+          translatedText: needTranslation[i],
+          sourceLanguage: sourceLanguage,
           targetLanguage: targetLanguage,
           error: error.message,
+          translationFailed: true,
           timestamp: new Date().toISOString(),
           fromCache: false
         };
@@ -234,39 +192,19 @@ const translateBatch = async (texts, targetLanguage = 'EN-US') => {
   return results;
 };
 
-// Get supported languages
-const getSupportedLanguages = async () => {
-  if (!translator) {
-    return { source: [], target: [] };
-  }
-  
-  try {
-    const sourceLanguages = await translator.getSourceLanguages();
-    const targetLanguages = await translator.getTargetLanguages();
-    
-    return {
-      source: sourceLanguages,
-      target: targetLanguages
-    };
-  } catch (error) {
-    console.error('❌ Failed to get supported languages:', error);
-    return { source: [], target: [] };
-  }
+// Get supported languages for an engine (defaults to the server default engine)
+const getSupportedLanguages = async (engine = null) => {
+  return translationEngines.getSupportedLanguages(engine);
 };
 
-// Get cache statistics
-const getCacheStats = () => {
-  return {
-    size: translationCache.size,
-    maxSize: CACHE_MAX_SIZE,
-    ttl: CACHE_TTL,
-    entries: Array.from(translationCache.keys()).slice(0, 10) // First 10 entries
-  };
+// Get cache statistics (backend, size, hit/miss ratios)
+const getCacheStats = async () => {
+  return translationCache.getStats();
 };
 
 // Clear cache
-const clearCache = () => {
-  translationCache.clear();
+const clearCache = async () => {
+  await translationCache.clear();
   console.log('🗑️ Translation cache cleared');
 };
 
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const sttProviders = require('./stt-providers');
+const translation = require('./translation');
+const sessions = require('./sessions');
+const plans = require('./plans');
+
+// Background jobs for uploaded audio/video files: transcribe, translate, store as a session.
+// Jobs live in memory; their results are kept as regular sessions.
+
+const JOB_CONFIG = {
+  concurrency: parseInt(process.env.UPLOAD_JOB_CONCURRENCY, 10) || 2,
+  retentionMs: parseInt(process.env.UPLOAD_JOB_RETENTION_MS, 10) || 60 * 60 * 1000, // Finished jobs stay queryable for 1 hour
+  translationChunkSize: 50 // Segments per translation request
+};
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  TRANSCRIBING: 'transcribing',
+  TRANSLATING: 'translating',
+  SAVING: 'saving',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+// Emits 'update' with the job whenever its status or progress changes
+const events = new EventEmitter();
+
+// Public job shape (no file paths)
+const toPublicJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  progress: job.progress,
+  fileName: job.fileName,
+  fileSize: job.fileSize,
+  speechLanguage: job.options.speechLanguage,
+  targetLanguages: job.options.targetLanguages,
+  provider: job.provider,
+  sessionId: job.sessionId,
+  segmentCount: job.segmentCount,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+const updateJob = (job, changes) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  events.emit('update', job);
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to remove uploaded file:', error.message);
+    }
+  }
+};
+
+// Translate every segment into each target language, reporting progress per chunk
+const translateSegments = async (job, segments) => {
+  const { sourceLanguage, targetLanguages, translationEngine } = job.options;
+  const translations = segments.map(() => ({}));
+  const chunkCount = Math.ceil(segments.length / JOB_CONFIG.translationChunkSize);
+  const totalSteps = chunkCount * targetLanguages.length;
+  let completedSteps = 0;
+
+  for (const targetLanguage of targetLanguages) {
+    for (let offset = 0; offset < segments.length; offset += JOB_CONFIG.translationChunkSize) {
+      const chunk = segments.slice(offset, offset + JOB_CONFIG.translationChunkSize);
+      const results = await translation.translateBatch(
+        chunk.map(segment => segment.transcript),
+        targetLanguage,
+        sourceLanguage,
+        { engine: translationEngine, usage: { userId: job.userId } }
+      );
+
+      results.forEach((result, index) => {
+        translations[offset + index][targetLanguage] = result.translatedText;
+      });
+
+      completedSteps++;
+      // Translation covers progress 50-90%
+      updateJob(job, { progress: 50 + Math.round((completedSteps / totalSteps) * 40) });
+    }
+  }
+
+  return translations;
+};
+
+// Run one job end to end
+const processJob = async (job) => {
+  const { options } = job;
+
+  try {
+    updateJob(job, { status: JOB_STATUS.TRANSCRIBING, progress: 5 });
+    const result = await sttProviders.transcribeFile(job.filePath, options.speechLanguage, options.provider, {
+      allowedProviders: options.allowedProviders,
+      usage: { userId: job.userId }
+    });
+
+    job.billedSeconds = (result.durationMs || Math.max(0, ...result.segments.map(segment => segment.endMs || 0))) / 1000;
+
+    // Providers without segment timing still return the whole transcript
+    const segments = result.segments.length > 0
+      ? result.segments
+      : [{ transcript: result.transcript, startMs: 0, endMs: result.durationMs || null, confidence: result.confidence, speaker: 'Speaker' }]
+        .filter(segment => segment.transcript && segment.transcript.trim());
+    updateJob(job, { provider: result.provider, progress: 50 });
+
+    let translations = segments.map(() => ({}));
+    if (options.targetLanguages.length > 0 && segments.length > 0) {
+      updateJob(job, { status: JOB_STATUS.TRANSLATING });
+      translations = await translateSegments(job, segments);
+    }
+
+    updateJob(job, { status: JOB_STATUS.SAVING, progress: 90 });
+    const session = await sessions.createSession(job.userId, {
+      title: options.title,
+      speechLanguage: options.speechLanguage,
+      sourceLanguage: options.sourceLanguage,
+      targetLanguages: options.targetLanguages,
+      sttProvider: result.provider,
+      translationEngine: options.translationEngine
+    });
+
+    const primaryTarget = options.targetLanguages[0] || null;
+    const spokenAt = new Date().toISOString();
+    await sessions.addSegments(session.id, segments.map((segment, index) => ({
+      sequence: index,
+      transcript: segment.transcript,
+      translation: primaryTarget ? translations[index][primaryTarget] : null,
+      translations: translations[index],
+      confidence: segment.confidence,
+      speaker: segment.speaker,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      // File timings already start at zero, which is the session start
+      words: sttProviders.toTimedWords(segment.words),
+      spokenAt,
+      provider: result.provider,
+      sourceLanguage: options.sourceLanguage,
+      targetLanguage: primaryTarget
+    })));
+    await sessions.endSession(session.id);
+
+    updateJob(job, {
+      status: JOB_STATUS.COMPLETED,
+      progress: 100,
+      sessionId: session.id,
+      segmentCount: segments.length
+    });
+    console.log(`✅ Upload job ${job.id} completed: session ${session.id} (${segments.length} segments)`);
+  } catch (error) {
+    console.error(`❌ Upload job ${job.id} failed:`, error);
+    updateJob(job, { status: JOB_STATUS.FAILED, error: error.message });
+  } finally {
+    // Charge the audio actually transcribed instead of the duration held at upload
+    if (job.quota) {
+      plans.consumeAudioQuota(job.quota.account, job.billedSeconds - job.quota.reservedSeconds);
+      plans.closeAudioQuota(job.quota.account);
+      job.quota = null;
+    }
+    await removeFile(job.filePath);
+    setTimeout(() => jobs.delete(job.id), JOB_CONFIG.retentionMs).unref();
+  }
+};
+
+// Start queued jobs up to the concurrency limit
+const runQueue = () => {
+  while (running < JOB_CONFIG.concurrency && queue.length > 0) {
+    const job = queue.shift();
+    running++;
+    processJob(job).finally(() => {
+      running--;
+      runQueue();
+    });
+  }
+};
+
+// Queue an uploaded file; the file is deleted once the job finishes
+// quota: { account, reservedSeconds } held from plans.openAudioQuota, settled when the job ends
+const createJob = (userId, file, options, quota = null) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    filePath: file.path,
+    fileName: file.originalname,
+    fileSize: file.size,
+    options,
+    status: JOB_STATUS.QUEUED,
+    progress: 0,
+    provider: null,
+    sessionId: null,
+    segmentCount: 0,
+    billedSeconds: 0,
+    quota,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  console.log(`📤 Upload job ${job.id} queued: ${job.fileName} (${job.fileSize} bytes) for user ${userId}`);
+  runQueue();
+  return job;
+};
+
+// Get one of a user's jobs (null if not found or not owned)
+const getJob = (userId, jobId) => {
+  const job = jobs.get(jobId);
+  return job && job.userId === userId ? job : null;
+};
+
+// List a user's recent jobs, newest first
+const listJobs = (userId) => {
+  return Array.from(jobs.values())
+    .filter(job => job.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+module.exports = {
+  JOB_CONFIG,
+  JOB_STATUS,
+  events,
+  toPublicJob,
+  createJob,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,211 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { authenticateToken, requireScope } = require('./auth');
+const languages = require('./languages');
+const sttProviders = require('./stt-providers');
+const translationEngines = require('./translation-engines');
+const uploadJobs = require('./upload-jobs');
+const plans = require('./plans');
+const accountEmails = require('./account-emails');
+
+const router = express.Router();
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'voxmiro-uploads');
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 500 * 1024 * 1024; // 500 MB
+const MAX_TARGET_LANGUAGES = 10;
+
+// Containers accepted when the browser sends a generic MIME type
+const ALLOWED_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.flac', '.webm', '.mp4', '.mov', '.mkv', '.wma'];
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Files stream to disk so large uploads never sit in memory or pass through the JSON body parser
+// Stored names keep the original extension, which some providers use to detect the container
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname || '').toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const isMedia = /^(audio|video)\//.test(file.mimetype) || ALLOWED_EXTENSIONS.includes(extension);
+    cb(null, isMedia);
+  }
+});
+
+// Target languages arrive as a comma-separated list or a JSON array
+const parseTargetLanguages = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch (error) {
+    return String(value).split(',').map(language => language.trim()).filter(Boolean);
+  }
+};
+
+// Validate form fields against the user's plan; returns { error } or { options }
+const parseUploadOptions = async (body, userId, plan) => {
+  const speechLanguage = body.speechLanguage || body.language;
+  if (!speechLanguage || !languages.isValidSpeechLanguage(speechLanguage)) {
+    return { error: 'Valid speechLanguage required' };
+  }
+
+  const sourceLanguage = body.sourceLanguage || languages.speechToTranslationLang(speechLanguage);
+  if (!languages.isValidTranslationLanguage(sourceLanguage)) {
+    return { error: 'Invalid sourceLanguage' };
+  }
+
+  const targetLanguages = parseTargetLanguages(body.targetLanguages)
+    .filter((language, index, list) => list.indexOf(language) === index);
+  const maxTargets = Math.min(MAX_TARGET_LANGUAGES, plan.maxTranslationTargets);
+  if (targetLanguages.length > maxTargets) {
+    return { error: `At most ${maxTargets} target languages on the ${plan.name} plan` };
+  }
+  const invalidTarget = targetLanguages.find(language => !languages.isValidTranslationLanguage(language));
+  if (invalidTarget) {
+    return { error: `Invalid target language: ${invalidTarget}` };
+  }
+
+  const allowedProviders = await sttProviders.getAllowedProviders({ userId, plan: plan.id });
+  const provider = body.provider ? sttProviders.resolveProvider(body.provider) : sttProviders.getCurrentProvider();
+  if (!provider || !allowedProviders.includes(provider)) {
+    return { error: `STT provider not available: ${body.provider}` };
+  }
+  if (!sttProviders.getProviderConfig(provider).fileUpload) {
+    return { error: `STT provider does not accept file uploads: ${provider}` };
+  }
+
+  const translationEngine = body.engine ? translationEngines.resolveEngine(body.engine) : translationEngines.getDefaultEngine();
+  if (!translationEngine) {
+    return { error: `Unknown translation engine: ${body.engine}` };
+  }
+
+  return {
+    options: {
+      speechLanguage,
+      sourceLanguage,
+      targetLanguages,
+      provider,
+      allowedProviders,
+      translationEngine,
+      title: typeof body.title === 'string' && body.title.trim() ? body.title.trim().slice(0, 255) : null
+    }
+  };
+};
+
+// Play time of an upload read from its container, checked against the plan's minutes before
+// anything is transcribed; null when the container does not say (the job then bills what it measures)
+const readDurationSeconds = async (file) => {
+  try {
+    // music-metadata is ESM-only, so it is imported rather than required
+    const { parseFile } = await import('music-metadata');
+    const { format } = await parseFile(file.path, { duration: true, skipCovers: true });
+    return Number.isFinite(format.duration) && format.duration > 0 ? format.duration : null;
+  } catch (error) {
+    console.log(`⚠️ Could not read the duration of ${file.originalname || file.path}: ${error.message}`);
+    return null;
+  }
+};
+
+// Remove an upload that will not become a job
+const discardFile = (file) => {
+  if (file) {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+// API keys need the transcribe scope
+router.use(authenticateToken, requireScope('transcribe'));
+
+// Upload a file (multipart field "file") and queue a transcription job
+router.post('/', (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Audio or video file required (multipart field "file")' });
+    }
+
+    let quota = null;
+    try {
+      if (!(await accountEmails.isEmailVerified(req.userId))) {
+        discardFile(req.file);
+        return res.status(403).json({ error: 'Verify your email address before transcribing', code: 'email_unverified' });
+      }
+
+      // File transcription counts against the same monthly audio minutes as live sessions
+      const plan = await plans.getUserPlan(req.userId);
+      if (!plan.fileUploads) {
+        discardFile(req.file);
+        return res.status(403).json({ error: `File uploads are not included in the ${plan.name} plan`, plan: plan.id });
+      }
+
+      const { error, options } = await parseUploadOptions(req.body || {}, req.userId, plan);
+      if (error) {
+        discardFile(req.file);
+        return res.status(400).json({ error });
+      }
+
+      // The whole file must fit in the minutes left; its duration is held until the job settles it
+      quota = await plans.openAudioQuota({ userId: req.userId }, plan);
+      const durationSeconds = await readDurationSeconds(req.file);
+      if (quota.remainingSeconds <= 0 || (durationSeconds !== null && durationSeconds > quota.remainingSeconds)) {
+        const remainingMinutes = Math.max(0, Math.floor(quota.remainingSeconds / 60));
+        plans.closeAudioQuota(quota);
+        discardFile(req.file);
+        return res.status(403).json({
+          error: quota.remainingSeconds <= 0
+            ? `Monthly audio minutes used up on the ${plan.name} plan`
+            : `This file runs ${Math.ceil(durationSeconds / 60)} minutes; ${remainingMinutes} are left on the ${plan.name} plan`,
+          plan: plan.id,
+          durationMinutes: durationSeconds !== null ? Math.ceil(durationSeconds / 60) : null,
+          remainingMinutes
+        });
+      }
+      const reservedSeconds = durationSeconds || 0;
+      plans.consumeAudioQuota(quota, reservedSeconds);
+
+      if (!options.title) {
+        options.title = req.file.originalname ? req.file.originalname.slice(0, 255) : null;
+      }
+
+      const job = uploadJobs.createJob(req.userId, req.file, options, { account: quota, reservedSeconds });
+      quota = null; // The job settles it now
+      res.status(202).json({ job: uploadJobs.toPublicJob(job) });
+    } catch (error) {
+      if (quota) {
+        plans.closeAudioQuota(quota);
+      }
+      discardFile(req.file);
+      console.error('❌ Failed to queue upload:', error);
+      res.status(500).json({ error: 'Failed to queue upload' });
+    }
+  });
+});
+
+// List recent jobs
+router.get('/jobs', (req, res) => {
+  res.json({ jobs: uploadJobs.listJobs(req.userId).map(uploadJobs.toPublicJob) });
+});
+
+// Poll job status
+router.get('/jobs/:id', (req, res) => {
+  const job = uploadJobs.getJob(req.userId, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: uploadJobs.toPublicJob(job) });
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { authenticateToken, requireAdmin, requireScope } = require('./auth');
+const usage = require('./usage');
+const translation = require('./translation');
+const plans = require('./plans');
+
+const router = express.Router();
+
+// Usage belongs to the signed-in user; /admin routes cover everyone
+router.use(authenticateToken, requireScope('usage:read'));
+
+// Per-day totals (?from=&to= ISO dates, default last 30 days)
+router.get('/', async (req, res) => {
+  const { error, range } = usage.parseRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [days, { totals, byProvider }] = await Promise.all([
+      usage.getDailyUsage(req.userId, range),
+      usage.getUsageTotals(req.userId, range)
+    ]);
+    res.json({ ...range, days, totals, byProvider });
+  } catch (error) {
+    console.error('❌ Failed to get usage:', error);
+    res.status(500).json({ error: 'Failed to get usage' });
+  }
+});
+
+// Totals for the current billing period
+router.get('/period', async (req, res) => {
+  try {
+    const period = await usage.getBillingPeriod(req.userId);
+    const { totals, byProvider } = await usage.getUsageTotals(req.userId, period);
+    res.json({ period, totals, byProvider });
+  } catch (error) {
+    console.error('❌ Failed to get billing period usage:', error);
+    res.status(500).json({ error: 'Failed to get billing period usage' });
+  }
+});
+
+// The user's plan and the audio minutes left in it
+router.get('/quota', async (req, res) => {
+  try {
+    const plan = await plans.getUserPlan(req.userId);
+    const quota = await plans.getAudioQuota(req.userId, plan);
+    res.json({
+      plan,
+      audioMinutes: {
+        allowed: plan.monthlyAudioMinutes,
+        used: Math.round((quota.usedSeconds / 60) * 10) / 10,
+        remaining: Math.round((quota.remainingSeconds / 60) * 10) / 10
+      }
+    });
+  } catch (error) {
+    console.error('❌ Failed to get quota:', error);
+    res.status(500).json({ error: 'Failed to get quota' });
+  }
+});
+
+// Totals across all users (?from=&to=&groupBy=user|provider|day)
+router.get('/admin', requireAdmin, async (req, res) => {
+  const { error, range } = usage.parseRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const groupBy = req.query.groupBy || 'user';
+  if (!usage.ADMIN_GROUPS[groupBy]) {
+    return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(usage.ADMIN_GROUPS).join(', ')}` });
+  }
+
+  try {
+    res.json({ ...range, groupBy, usage: await usage.getAggregateUsage(range, groupBy) });
+  } catch (error) {
+    console.error('❌ Failed to get aggregate usage:', error);
+    res.status(500).json({ error: 'Failed to get aggregate usage' });
+  }
+});
+
+// Reconcile DeepL's account character count with our own records
+router.get('/admin/deepl', requireAdmin, async (req, res) => {
+  try {
+    const deepl = await translation.validateDeepLKey();
+    if (!deepl.valid) {
+      return res.status(500).json({ error: `DeepL usage unavailable: ${deepl.error}` });
+    }
+    res.json(await usage.reconcileDeepL(deepl.usage));
+  } catch (error) {
+    console.error('❌ Failed to reconcile DeepL usage:', error);
+    res.status(500).json({ error: 'Failed to reconcile DeepL usage' });
+  }
+});
+
+module.exports = router;
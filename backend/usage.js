@@ -0,0 +1,297 @@
+const pool = require('./database');
+
+// Usage metering: billed audio seconds per STT call and characters per translation.
+// Records are buffered in memory and written in batches, since every interim result is
+// translated and a row per call would double the database traffic of a live session.
+
+const USAGE_KINDS = {
+  STT: 'stt', // quantity = audio seconds
+  TRANSLATION: 'translation' // quantity = characters of source text
+};
+
+// Groupings for admin summaries
+const ADMIN_GROUPS = {
+  user: 'user_id',
+  provider: 'kind, provider',
+  day: "date_trunc('day', created_at)"
+};
+
+const USAGE_CONFIG = {
+  flushIntervalMs: parseInt(process.env.USAGE_FLUSH_INTERVAL_MS, 10) || 10000,
+  maxPending: 500, // Flush early once this many records are waiting
+  maxRetained: 50000, // Records kept for retry while the database is down; the oldest go first
+  maxRetryDelayMs: 5 * 60 * 1000,
+  maxRangeDays: 366
+};
+
+// Day DeepL's character counter resets (DeepL periods follow the subscription date, 1-28)
+const DEEPL_BILLING_DAY = Math.min(28, Math.max(1, parseInt(process.env.DEEPL_BILLING_DAY, 10) || 1));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let pending = [];
+let inFlight = []; // The batch being inserted right now
+let flushing = null;
+let flushTimer = null;
+let retryDelayMs = 0; // Grows while inserts keep failing
+
+// Characters as providers count them (code points, so emoji and CJK extensions count once)
+const countCharacters = (text) => (text ? [...text].length : 0);
+
+const insertBatch = (batch) => pool.query(`
+  INSERT INTO usage_records (user_id, session_id, kind, provider, quantity, cache_hit, created_at)
+  SELECT * FROM unnest($1::int[], $2::int[], $3::text[], $4::text[], $5::numeric[], $6::boolean[], $7::timestamp[])
+`, [
+  batch.map(record => record.userId),
+  batch.map(record => record.sessionId),
+  batch.map(record => record.kind),
+  batch.map(record => record.provider),
+  batch.map(record => record.quantity),
+  batch.map(record => record.cacheHit),
+  batch.map(record => record.createdAt)
+]);
+
+// Write buffered records until none are left; returns how many were stored
+// A failed batch goes back to the front of the buffer and is retried with backoff
+const drain = async () => {
+  let written = 0;
+
+  while (pending.length > 0) {
+    const batch = pending;
+    pending = [];
+    inFlight = batch;
+
+    try {
+      await insertBatch(batch);
+      inFlight = [];
+      written += batch.length;
+      retryDelayMs = 0;
+    } catch (error) {
+      inFlight = [];
+      pending = batch.concat(pending);
+      if (pending.length > USAGE_CONFIG.maxRetained) {
+        const dropped = pending.length - USAGE_CONFIG.maxRetained;
+        pending = pending.slice(dropped);
+        console.error(`❌ Usage buffer full, dropped ${dropped} oldest usage records`);
+      }
+      retryDelayMs = Math.min(USAGE_CONFIG.maxRetryDelayMs, Math.max(USAGE_CONFIG.flushIntervalMs, retryDelayMs * 2));
+      console.error(`❌ Failed to store ${batch.length} usage records, retrying in ${retryDelayMs}ms:`, error.message);
+      scheduleFlush();
+      break;
+    }
+  }
+
+  return written;
+};
+
+// Write every buffered record; concurrent callers share the one running drain
+const flush = () => {
+  if (!flushing) {
+    flushing = drain().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+};
+
+const scheduleFlush = () => {
+  // While the database is failing, only the backoff timer retries
+  if (pending.length >= USAGE_CONFIG.maxPending && retryDelayMs === 0) {
+    flush();
+    return;
+  }
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, retryDelayMs || USAGE_CONFIG.flushIntervalMs);
+    // Metering alone should not keep the process alive
+    flushTimer.unref();
+  }
+};
+
+// Queue one usage record; context is { userId, sessionId } of whoever caused the call
+// (null when the call was not made for anyone, e.g. health checks)
+const record = (kind, context, { provider, quantity, cacheHit = false }) => {
+  if (!provider || !(quantity > 0)) {
+    return;
+  }
+
+  pending.push({
+    userId: context?.userId ?? null,
+    sessionId: context?.sessionId ?? null,
+    kind,
+    provider,
+    quantity: Math.round(quantity * 1000) / 1000,
+    cacheHit: Boolean(cacheHit),
+    createdAt: new Date().toISOString()
+  });
+  scheduleFlush();
+};
+
+// Billed audio duration of an STT call
+const recordAudio = (context, { provider, seconds }) => {
+  record(USAGE_KINDS.STT, context, { provider, quantity: seconds });
+};
+
+// Characters sent to (or served from the cache for) a translation engine
+const recordTranslation = (context, { provider, text, cacheHit = false }) => {
+  record(USAGE_KINDS.TRANSLATION, context, { provider, quantity: countCharacters(text), cacheHit });
+};
+
+// Audio seconds of a user still buffered here, i.e. not yet visible to getUsageTotals
+const getPendingAudioSeconds = (userId) => inFlight.concat(pending)
+  .filter(record => record.kind === USAGE_KINDS.STT && record.userId !== null && String(record.userId) === String(userId))
+  .reduce((total, record) => total + record.quantity, 0);
+
+// Parse ?from=&to= (ISO dates); defaults to the last 30 days, `to` is exclusive
+const parseRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date(Date.now() + DAY_MS);
+  const start = from ? new Date(from) : new Date(end.getTime() - 31 * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'from and to must be ISO dates' };
+  }
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+  if (end - start > USAGE_CONFIG.maxRangeDays * DAY_MS) {
+    return { error: `Range must not exceed ${USAGE_CONFIG.maxRangeDays} days` };
+  }
+  return { range: { from: start, to: end } };
+};
+
+// Totals columns shared by every summary query
+const TOTALS_SQL = `
+  COALESCE(SUM(quantity) FILTER (WHERE kind = 'stt'), 0) AS audio_seconds,
+  COALESCE(SUM(quantity) FILTER (WHERE kind = 'translation' AND NOT cache_hit), 0) AS characters,
+  COALESCE(SUM(quantity) FILTER (WHERE kind = 'translation' AND cache_hit), 0) AS cached_characters,
+  COUNT(*) FILTER (WHERE kind = 'stt') AS stt_requests,
+  COUNT(*) FILTER (WHERE kind = 'translation') AS translation_requests
+`;
+
+const toTotals = (row = {}) => ({
+  audioSeconds: parseFloat(row.audio_seconds) || 0,
+  characters: parseInt(row.characters, 10) || 0,
+  cachedCharacters: parseInt(row.cached_characters, 10) || 0,
+  sttRequests: parseInt(row.stt_requests, 10) || 0,
+  translationRequests: parseInt(row.translation_requests, 10) || 0
+});
+
+// Per-day totals for a user
+const getDailyUsage = async (userId, { from, to }) => {
+  await flush();
+  const result = await pool.query(`
+    SELECT date_trunc('day', created_at) AS day, ${TOTALS_SQL}
+    FROM usage_records
+    WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+    GROUP BY day
+    ORDER BY day
+  `, [userId, from, to]);
+
+  return result.rows.map(row => ({ date: row.day.toISOString().slice(0, 10), ...toTotals(row) }));
+};
+
+// Totals for a user over a range, overall and per provider
+const getUsageTotals = async (userId, { from, to }) => {
+  await flush();
+  const result = await pool.query(`
+    SELECT kind, provider, ${TOTALS_SQL}
+    FROM usage_records
+    WHERE user_id = $1 AND created_at >= $2 AND created_at < $3
+    GROUP BY ROLLUP ((kind, provider))
+  `, [userId, from, to]);
+
+  const overall = result.rows.find(row => row.kind === null);
+  return {
+    totals: toTotals(overall),
+    byProvider: result.rows
+      .filter(row => row.kind !== null)
+      .map(row => ({ kind: row.kind, provider: row.provider, ...toTotals(row) }))
+  };
+};
+
+// The user's current billing period: their subscription period, or the calendar month without one
+const getBillingPeriod = async (userId) => {
+  const result = await pool.query(
+    'SELECT current_period_start, current_period_end FROM subscriptions WHERE user_id = $1',
+    [userId]
+  );
+  const subscription = result.rows[0];
+  const now = new Date();
+
+  if (subscription?.current_period_start && subscription?.current_period_end && new Date(subscription.current_period_end) > now) {
+    return { from: subscription.current_period_start, to: subscription.current_period_end, source: 'subscription' };
+  }
+  return {
+    from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    to: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    source: 'calendar'
+  };
+};
+
+// Totals across all users over a range, grouped by user, provider or day
+const getAggregateUsage = async ({ from, to }, groupBy = 'user') => {
+  await flush();
+  const groupSql = ADMIN_GROUPS[groupBy];
+  const result = await pool.query(`
+    SELECT ${groupBy === 'day' ? `${groupSql} AS day` : groupSql}, ${TOTALS_SQL}
+    FROM usage_records
+    WHERE created_at >= $1 AND created_at < $2
+    GROUP BY ${groupSql}
+    ORDER BY ${groupBy === 'day' ? 'day' : 'audio_seconds DESC, characters DESC'}
+  `, [from, to]);
+
+  return result.rows.map(row => {
+    const totals = toTotals(row);
+    if (groupBy === 'user') return { userId: row.user_id, ...totals };
+    if (groupBy === 'provider') return { kind: row.kind, provider: row.provider, ...totals };
+    return { date: row.day.toISOString().slice(0, 10), ...totals };
+  });
+};
+
+// Start of the current DeepL billing period (UTC)
+const getDeepLPeriodStart = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), DEEPL_BILLING_DAY));
+  if (start > now) {
+    start.setUTCMonth(start.getUTCMonth() - 1);
+  }
+  return start;
+};
+
+// Compare DeepL's account counter with the characters we sent it this period
+// A positive difference is usage we did not meter (another service on the key, lost records)
+const reconcileDeepL = async (deeplUsage) => {
+  await flush();
+  const from = getDeepLPeriodStart();
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(quantity), 0) AS characters
+    FROM usage_records
+    WHERE kind = 'translation' AND provider = 'deepl' AND NOT cache_hit AND created_at >= $1
+  `, [from]);
+
+  const recorded = parseInt(result.rows[0].characters, 10) || 0;
+  const difference = deeplUsage.count - recorded;
+  return {
+    periodStart: from,
+    deepl: { count: deeplUsage.count, limit: deeplUsage.limit },
+    recorded,
+    difference,
+    differencePercent: deeplUsage.count > 0 ? Math.round((difference / deeplUsage.count) * 10000) / 100 : 0
+  };
+};
+
+module.exports = {
+  USAGE_KINDS,
+  ADMIN_GROUPS,
+  recordAudio,
+  recordTranslation,
+  flush,
+  getPendingAudioSeconds,
+  parseRange,
+  getDailyUsage,
+  getUsageTotals,
+  getBillingPeriod,
+  getAggregateUsage,
+  reconcileDeepL
+};
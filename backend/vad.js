@@ -0,0 +1,235 @@
+/**
+ * Voice activity detection for batch transcription
+ *
+ * Audio (16kHz Int16 mono) is split into 20 ms frames. A frame counts as speech when
+ * its energy clears an adaptive noise floor by a margin set by the sensitivity, and
+ * noisy frames (high zero-crossing rate) must clear it by more. Speech must last
+ * minSpeechMs before an utterance opens, so clicks and pops are ignored, and the
+ * utterance closes once the speaker has paused for the hangover time. Utterances that
+ * run past maxUtteranceMs are cut at the quietest recent frame instead of mid-word, and
+ * utterances shorter than minUtteranceMs (the shortest audio the batch providers accept)
+ * are dropped.
+ */
+
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 20;
+const FRAME_SAMPLES = (SAMPLE_RATE / 1000) * FRAME_MS;
+const FRAME_BYTES = FRAME_SAMPLES * 2;
+
+const VAD_CONFIG = {
+  minSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS, 10) || 120, // Speech needed before an utterance opens
+  preRollMs: parseInt(process.env.VAD_PRE_ROLL_MS, 10) || 300, // Audio kept from before the onset
+  tailMs: 200, // Silence kept after the last speech frame
+  minUtteranceMs: 500, // Whisper and Google reject shorter audio (16000 bytes)
+  maxUtteranceMs: parseInt(process.env.VAD_MAX_UTTERANCE_MS, 10) || 15000,
+  cutSearchMs: 1000, // Window searched for a quiet frame when an utterance is too long
+  maxZeroCrossingRate: 0.35, // Above this a frame sounds like hiss rather than voice
+  noisyFrameMarginDb: 6 // Extra energy required from high zero-crossing frames
+};
+
+const SETTING_LIMITS = {
+  sensitivity: { min: 0, max: 1 },
+  hangoverMs: { min: 100, max: 3000 }
+};
+
+const DEFAULT_SETTINGS = {
+  sensitivity: parseFloat(process.env.VAD_SENSITIVITY) || 0.5, // 0 = only loud speech, 1 = whispers
+  hangoverMs: parseInt(process.env.VAD_HANGOVER_MS, 10) || 600 // Pause that ends an utterance
+};
+
+const msToFrames = (ms) => Math.max(1, Math.round(ms / FRAME_MS));
+
+/**
+ * Validate VAD settings from a client
+ * @param {Object} input - { sensitivity?, hangoverMs? }
+ * @param {Object} current - Settings to start from
+ * @returns {Object} { error } or { settings }
+ */
+const normalizeSettings = (input = {}, current = DEFAULT_SETTINGS) => {
+  const settings = { ...current };
+
+  for (const [key, { min, max }] of Object.entries(SETTING_LIMITS)) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${key} must be between ${min} and ${max}` };
+    }
+    settings[key] = key === 'hangoverMs' ? Math.round(value) : value;
+  }
+
+  return { settings };
+};
+
+/**
+ * Measure one frame
+ * @param {Buffer} frame - FRAME_BYTES of Int16LE samples
+ * @returns {Object} { db: energy in dBFS, zcr: zero crossings per sample }
+ */
+const analyzeFrame = (frame) => {
+  let sumSquares = 0;
+  let crossings = 0;
+  let previous = 0;
+
+  for (let offset = 0; offset < frame.length; offset += 2) {
+    const sample = frame.readInt16LE(offset);
+    sumSquares += sample * sample;
+    if (offset > 0 && (sample >= 0) !== (previous >= 0)) {
+      crossings++;
+    }
+    previous = sample;
+  }
+
+  const rms = Math.sqrt(sumSquares / FRAME_SAMPLES);
+  return {
+    db: 20 * Math.log10(rms / 32768 + 1e-9),
+    zcr: crossings / (FRAME_SAMPLES - 1)
+  };
+};
+
+/**
+ * Create a detector for one audio stream
+ * @param {Object} settings - { sensitivity, hangoverMs }
+ * @param {number} startMs - Stream time of the first pushed sample (utterance times are offset by it)
+ * @returns {Object} { push, flush, isSpeaking, setSettings }
+ */
+const createVad = (settings = DEFAULT_SETTINGS, startMs = 0) => {
+  let current = { ...DEFAULT_SETTINGS, ...settings };
+  let remainder = Buffer.alloc(0);
+  let frameIndex = 0;
+  let noiseFloorDb = -60;
+
+  let preRoll = []; // Recent frames while idle: { audio, db, index }
+  let onsetFrames = 0;
+  let utterance = null; // Frames of the open utterance
+  let silentFrames = 0;
+
+  const frameToMs = (index) => startMs + index * FRAME_MS;
+
+  // Margin over the noise floor shrinks as sensitivity grows (18 dB down to 6 dB)
+  const isSpeechFrame = ({ db, zcr }) => {
+    const threshold = Math.max(noiseFloorDb + 18 - current.sensitivity * 12, -50 - current.sensitivity * 15);
+    if (db <= threshold) return false;
+    return zcr <= VAD_CONFIG.maxZeroCrossingRate || db > threshold + VAD_CONFIG.noisyFrameMarginDb;
+  };
+
+  // Follow the background level: fall quickly, rise slowly, and creep up by at most 1 dB/s
+  // during speech (a steady noise that crosses the threshold is still absorbed eventually)
+  const updateNoiseFloor = (db, speech) => {
+    if (db < noiseFloorDb) {
+      noiseFloorDb = Math.max(-90, noiseFloorDb + (db - noiseFloorDb) * 0.3);
+    } else if (speech) {
+      noiseFloorDb += Math.min(db - noiseFloorDb, FRAME_MS / 1000);
+    } else {
+      noiseFloorDb += (db - noiseFloorDb) * 0.02;
+    }
+  };
+
+  const toUtterance = (frames) => ({
+    audio: Buffer.concat(frames.map(frame => frame.audio)),
+    startMs: frameToMs(frames[0].index),
+    endMs: frameToMs(frames[frames.length - 1].index + 1)
+  });
+
+  // Close the open utterance, dropping silence beyond the tail; null if too short to transcribe
+  const closeUtterance = () => {
+    const trailing = Math.max(0, silentFrames - msToFrames(VAD_CONFIG.tailMs));
+    const frames = utterance.slice(0, utterance.length - trailing);
+    utterance = null;
+    silentFrames = 0;
+    onsetFrames = 0;
+    return frames.length >= msToFrames(VAD_CONFIG.minUtteranceMs) ? toUtterance(frames) : null;
+  };
+
+  // Cut an over-long utterance at its quietest recent frame; the rest stays open
+  const splitUtterance = () => {
+    const searchFrom = Math.max(1, utterance.length - msToFrames(VAD_CONFIG.cutSearchMs));
+    let cutAt = searchFrom;
+    for (let i = searchFrom; i < utterance.length; i++) {
+      if (utterance[i].db < utterance[cutAt].db) {
+        cutAt = i;
+      }
+    }
+    const frames = utterance.slice(0, cutAt + 1);
+    utterance = utterance.slice(cutAt + 1);
+    return toUtterance(frames);
+  };
+
+  const processFrame = (audio) => {
+    const { db, zcr } = analyzeFrame(audio);
+    const frame = { audio, db, index: frameIndex++ };
+    const speech = isSpeechFrame({ db, zcr });
+    updateNoiseFloor(db, speech);
+
+    if (!utterance) {
+      onsetFrames = speech ? onsetFrames + 1 : 0;
+      preRoll.push(frame);
+      if (preRoll.length > msToFrames(VAD_CONFIG.preRollMs)) {
+        preRoll.shift();
+      }
+      if (onsetFrames >= msToFrames(VAD_CONFIG.minSpeechMs)) {
+        utterance = preRoll;
+        preRoll = [];
+        silentFrames = 0;
+      }
+      return null;
+    }
+
+    utterance.push(frame);
+    silentFrames = speech ? 0 : silentFrames + 1;
+
+    if (silentFrames >= msToFrames(current.hangoverMs)) {
+      return closeUtterance();
+    }
+    if (utterance.length >= msToFrames(VAD_CONFIG.maxUtteranceMs)) {
+      return splitUtterance();
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Feed audio; returns utterances completed by it
+     * @param {Buffer} chunk - Int16LE samples (any length)
+     * @returns {Array} { audio, startMs, endMs }
+     */
+    push: (chunk) => {
+      const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+      const completed = [];
+      let offset = 0;
+
+      for (; offset + FRAME_BYTES <= data.length; offset += FRAME_BYTES) {
+        const result = processFrame(Buffer.from(data.subarray(offset, offset + FRAME_BYTES)));
+        if (result) {
+          completed.push(result);
+        }
+      }
+
+      remainder = Buffer.from(data.subarray(offset));
+      return completed;
+    },
+
+    /**
+     * End of stream: close the open utterance, if any (null when it is too short, e.g. only the pre-roll)
+     * @returns {Object|null} { audio, startMs, endMs }
+     */
+    flush: () => {
+      remainder = Buffer.alloc(0);
+      preRoll = [];
+      onsetFrames = 0;
+      return utterance && utterance.length > 0 ? closeUtterance() : null;
+    },
+
+    isSpeaking: () => Boolean(utterance),
+
+    setSettings: (next) => {
+      current = { ...current, ...next };
+    }
+  };
+};
+
+module.exports = {
+  VAD_CONFIG,
+  DEFAULT_SETTINGS,
+  normalizeSettings,
+  createVad
+};
@@ -2,7 +2,29 @@ const googleSpeech = require('./google-speech');
 const translation = require('./translation');
 const languages = require('./languages');
 const sttProviders = require('./stt-providers');
+const translationEngines = require('./translation-engines');
 const aiPunctuation = require('./ai-punctuation');
+const glossaries = require('./glossaries');
+const rooms = require('./rooms');
+const sessions = require('./sessions');
+const uploadJobs = require('./upload-jobs');
+const diarization = require('./diarization');
+const voiceActivity = require('./vad');
+const segmentTracker = require('./segment-tracker');
+const audioInput = require('./audio-input');
+const plans = require('./plans');
+const socketAuth = require('./socket-auth');
+const accountEmails = require('./account-emails');
+const apiKeys = require('./api-keys');
+
+// Upper bound on simultaneous translation targets per session
+const MAX_TRANSLATION_TARGETS = parseInt(process.env.MAX_TRANSLATION_TARGETS, 10) || 10;
+
+// Languages auto-detection chooses between (Google accepts a primary plus three alternatives)
+const MAX_CANDIDATE_LANGUAGES = 4;
+
+// Decoded audio (16kHz Int16 mono) per second, for counting plan minutes
+const PCM_BYTES_PER_SECOND = audioInput.PROVIDER_SAMPLE_RATE * 2;
 
 module.exports = (io) => {
   console.log('🔌 WebSocket server initialized');
@@ -18,33 +40,155 @@ module.exports = (io) => {
     console.log('❌ Error context:', err.context);  
   });
 
+  // Verify the handshake JWT (or apply the anonymous policy) before any handler runs
+  io.use(socketAuth.authenticateSocket);
+
+  // Relay upload job progress to sockets watching the job
+  uploadJobs.events.on('update', (job) => {
+    io.to(`job:${job.id}`).emit('job-progress', uploadJobs.toPublicJob(job));
+  });
+
+  // Sessions follow edits to the glossary they attached
+  glossaries.events.on('updated', (glossary) => {
+    clientConnections.forEach((clientConnection) => {
+      if (clientConnection.glossary && clientConnection.glossary.id === glossary.id) {
+        setGlossary(clientConnection, glossary);
+        console.log(`📘 Glossary reloaded: ${glossary.id} (${glossary.entries.length} entries)`);
+      }
+    });
+  });
+
+  glossaries.events.on('deleted', ({ glossaryId }) => {
+    clientConnections.forEach((clientConnection, socketId) => {
+      if (clientConnection.glossary && clientConnection.glossary.id === glossaryId) {
+        setGlossary(clientConnection, null);
+        io.to(socketId).emit('glossary-error', { error: `Glossary deleted: ${glossaryId}` });
+      }
+    });
+  });
+
   io.on('connection', (socket) => {
-    console.log('🔗 Client connected:', socket.id);
+    console.log('🔗 Client connected:', socket.id, socket.data.userId ? `(user ${socket.data.userId})` : '(anonymous)');
     console.log('🌐 Client origin:', socket.handshake.headers.origin);
     
     // Initialize client connection with default languages and punctuation preferences
     clientConnections.set(socket.id, {
-      audioBuffer: Buffer.alloc(0),
       isTranscribing: false,
-      lastTranscriptionTime: 0,
-      lastTranscript: '', // Track last transcript to prevent duplicates
-      lastTranslation: '', // Track last translation to prevent duplicates
-      speechLanguage: 'cs-CZ', // Default to Czech (original vision)
-      translationFrom: 'cs',
-      translationTo: 'en',
+      audioFormat: null, // Encoding of audio-data frames, declared at start-transcription
+      audioDecoder: null, // Turns audio-data frames into 16kHz Int16 PCM
+      vad: null, // Splits batch audio into utterances at speech pauses
+      vadSettings: { ...voiceActivity.DEFAULT_SETTINGS }, // Detection sensitivity and pause length
+      speechLanguage: 'cs-CZ', // Default to Czech (original vision); 'auto' detects it per segment
+      candidateLanguages: [], // Speech languages auto mode expects (hints for engines that need them)
+      detectedLanguage: null, // Last language detected in auto mode
+      translationFrom: 'cs', // Translation source unless auto mode detects another
+      translationTo: 'en', // Primary target (first entry of translationTargets)
+      translationTargets: ['en'], // Every language each utterance is translated into
+      translationEngine: translationEngines.getDefaultEngine(), // Per-session translation engine
+      glossary: null, // User glossary enforced on translations (loaded with entries)
       aiPunctuationEnabled: true, // Default punctuation enabled
-      punctuationStyle: 'formal' // Default punctuation style
+      punctuationStyle: 'formal', // Default punctuation style
+      userId: socket.data.userId ?? null, // Authenticated user (from the handshake token), null if anonymous
+      scopes: socket.data.scopes ?? null, // API key scopes, null for access tokens and anonymous sockets
+      authExpiry: null, // Watches the token's expiry and asks for a new one
+      sttProvider: sttProviders.getCurrentProvider(), // Per-session STT provider, starts at the server default
+      allowedProviders: null, // Providers the session may fail over to (null = any)
+      quota: null, // Shared audio allowance while transcribing (see plans.openAudioQuota)
+      clientAddress: getClientAddress(socket), // Anonymous allowances are tracked per address
+      liveStream: null, // Live STT stream when the provider supports streaming
+      room: null, // Broadcast room membership: { code, role: 'host' | 'viewer', language }
+      sessionId: null, // Stored transcription session (authenticated users only)
+      sessionStartedAt: 0, // Segment offsets are measured from here
+      streamStartedAt: 0, // When the current live stream opened (its result times restart at zero)
+      segmentSequence: 0,
+      diarize: false, // Split live results by speaker (providers with diarization only)
+      speakers: diarization.createSpeakerRegistry(), // Speaker names for the current session
+      segments: segmentTracker.createSegmentTracker(), // Segment IDs and the stable/unstable split of the open segment
+      resultQueue: Promise.resolve() // Keeps live results in arrival order while they are translated
+    });
+
+    // Ask for a fresh token before this one expires; keep the session through a grace period,
+    // and drop it as soon as the token or key is found revoked
+    clientConnections.get(socket.id).authExpiry = socketAuth.watchTokenExpiry(socket.data.credential, socket.data.tokenExpiresAt, {
+      onReauthRequired: (expiresAt) => {
+        socket.emit('reauth-required', { expiresAt, graceMs: socketAuth.SOCKET_AUTH_CONFIG.graceMs });
+      },
+      onExpired: () => expireSocket(socket),
+      onRevoked: () => expireSocket(socket, { revoked: true })
+    });
+
+    // Re-authenticate with a new token (or sign in an anonymous socket)
+    socket.on('authenticate', async (payload) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      
+      try {
+        const { userId, expiresAt, scopes } = await socketAuth.verifySocketToken(payload?.token);
+        if (clientConnection.userId && userId !== clientConnection.userId) {
+          throw new Error('Token belongs to a different user');
+        }
+        // Usage and the stored session of a running transcription belong to whoever started it
+        if (!clientConnection.userId && clientConnection.isTranscribing) {
+          throw new Error('Stop transcription before signing in');
+        }
+        
+        clientConnection.userId = userId;
+        clientConnection.scopes = scopes;
+        socket.data.userId = userId;
+        socket.data.tokenExpiresAt = expiresAt;
+        socket.data.scopes = scopes;
+        socket.data.credential = payload.token;
+        clientConnection.authExpiry.renew(payload.token, expiresAt);
+        
+        socket.emit('authenticated', { userId, expiresAt, scopes });
+        console.log(`🔑 Client ${socket.id} authenticated as user ${userId}`);
+      } catch (error) {
+        socket.emit('auth-error', { error: error.message, code: error.data?.code || 'rejected' });
+      }
     });
 
     // Handle language configuration
-    socket.on('set-languages', (config) => {
+    socket.on('set-languages', async (config) => {
       console.log('🌍 Language configuration from:', socket.id, config);
       
       const clientConnection = clientConnections.get(socket.id);
       if (clientConnection && config) {
-        // Validate and set speech language
-        if (config.speechLanguage && languages.isValidSpeechLanguage(config.speechLanguage)) {
+        // Validate and set the languages auto-detection chooses between
+        if (Array.isArray(config.candidateLanguages)) {
+          const candidates = config.candidateLanguages
+            .filter(code => languages.isValidSpeechLanguage(code))
+            .filter((code, index, list) => list.indexOf(code) === index);
+          
+          if (candidates.length > MAX_CANDIDATE_LANGUAGES) {
+            socket.emit('speech-language-error', {
+              error: `Provide at most ${MAX_CANDIDATE_LANGUAGES} candidate languages`
+            });
+          } else {
+            clientConnection.candidateLanguages = candidates;
+            console.log('🎤 Candidate languages set to:', candidates.join(', ') || 'any');
+          }
+        }
+        
+        // Validate and set speech language ('auto' needs a provider that can detect it)
+        if (config.speechLanguage === sttProviders.AUTO_LANGUAGE) {
+          if (sttProviders.getProviderConfig(clientConnection.sttProvider)?.languageDetection) {
+            // Without hints, expect the language spoken so far
+            if (clientConnection.candidateLanguages.length === 0 && clientConnection.speechLanguage !== sttProviders.AUTO_LANGUAGE) {
+              clientConnection.candidateLanguages = [clientConnection.speechLanguage];
+            }
+            clientConnection.speechLanguage = sttProviders.AUTO_LANGUAGE;
+            clientConnection.detectedLanguage = null;
+            console.log('🎤 Speech language set to auto-detect:', clientConnection.candidateLanguages.join(', ') || 'any');
+          } else {
+            socket.emit('speech-language-error', {
+              error: `STT provider cannot detect the spoken language: ${clientConnection.sttProvider}`
+            });
+          }
+        } else if (config.speechLanguage && languages.isValidSpeechLanguage(config.speechLanguage)) {
           clientConnection.speechLanguage = config.speechLanguage;
+          clientConnection.detectedLanguage = null;
           console.log('🎤 Speech language set to:', config.speechLanguage);
         }
         
@@ -54,34 +198,118 @@ module.exports = (io) => {
           console.log('📝 Translation source set to:', config.translationFrom);
         }
         
-        if (config.translationTo && languages.isValidTranslationLanguage(config.translationTo)) {
+        if (Array.isArray(config.translationTargets)) {
+          // Fan-out: translate each utterance into every listed language (as many as the plan allows)
+          const targets = config.translationTargets
+            .filter(target => languages.isValidTranslationLanguage(target))
+            .filter((target, index, list) => list.indexOf(target) === index);
+          const plan = await plans.getUserPlan(clientConnection.userId);
+          const maxTargets = Math.min(MAX_TRANSLATION_TARGETS, plan.maxTranslationTargets);
+          
+          if (targets.length === 0 || targets.length > maxTargets) {
+            socket.emit('translation-targets-error', {
+              error: `Provide between 1 and ${maxTargets} valid translation target languages (${plan.name} plan)`
+            });
+          } else {
+            clientConnection.translationTargets = targets;
+            clientConnection.translationTo = targets[0];
+            console.log('🌍 Translation targets set to:', targets.join(', '));
+          }
+        } else if (config.translationTo && languages.isValidTranslationLanguage(config.translationTo)) {
           clientConnection.translationTo = config.translationTo;
+          clientConnection.translationTargets = [config.translationTo];
           console.log('🌍 Translation target set to:', config.translationTo);
         }
         
+        // Validate and set translation engine (must be configured on this server)
+        if (config.translationEngine) {
+          const engine = translationEngines.resolveEngine(config.translationEngine);
+          if (engine && translationEngines.getEngine(engine).isConfigured()) {
+            clientConnection.translationEngine = engine;
+            console.log('🔧 Translation engine set to:', engine);
+          } else {
+            socket.emit('translation-engine-error', {
+              error: `Translation engine not available: ${config.translationEngine}`,
+              availableEngines: translationEngines.getAllEngines().filter(engine => engine.configured).map(engine => engine.id)
+            });
+          }
+        }
+        
+        // Attach or detach a user glossary (null detaches)
+        if (config.glossaryId !== undefined) {
+          if (config.glossaryId === null) {
+            setGlossary(clientConnection, null);
+            console.log('📘 Glossary detached');
+          } else if (!clientConnection.userId) {
+            socket.emit('glossary-error', { error: 'Sign in to use glossaries' });
+          } else {
+            try {
+              const glossary = await glossaries.getGlossary(clientConnection.userId, config.glossaryId);
+              if (glossary) {
+                setGlossary(clientConnection, glossary);
+                console.log(`📘 Glossary attached: ${glossary.id} (${glossary.entries.length} entries)`);
+              } else {
+                socket.emit('glossary-error', { error: `Glossary not found: ${config.glossaryId}` });
+              }
+            } catch (error) {
+              console.error('❌ Failed to load glossary:', error);
+              socket.emit('glossary-error', { error: 'Failed to load glossary' });
+            }
+          }
+        }
+        
         // Send confirmation back to client
+        const autoDetect = clientConnection.speechLanguage === sttProviders.AUTO_LANGUAGE;
         socket.emit('languages-updated', {
           speechLanguage: clientConnection.speechLanguage,
+          candidateLanguages: clientConnection.candidateLanguages,
           translationFrom: clientConnection.translationFrom,
           translationTo: clientConnection.translationTo,
-          speechDisplay: languages.getLanguageDisplay(clientConnection.speechLanguage, 'speech'),
-          translationDisplay: `${languages.getLanguageDisplay(clientConnection.translationFrom, 'translation')} → ${languages.getLanguageDisplay(clientConnection.translationTo, 'translation')}`
+          translationTargets: clientConnection.translationTargets,
+          translationEngine: clientConnection.translationEngine,
+          glossaryId: clientConnection.glossary ? clientConnection.glossary.id : null,
+          speechDisplay: autoDetect ? 'Auto-detect' : languages.getLanguageDisplay(clientConnection.speechLanguage, 'speech'),
+          translationDisplay: `${autoDetect ? 'Auto-detect' : languages.getLanguageDisplay(clientConnection.translationFrom, 'translation')} → ${clientConnection.translationTargets.map(target => languages.getLanguageDisplay(target, 'translation')).join(', ')}`
         });
       }
     });
 
-    // Handle STT provider switching
-    socket.on('set-stt-provider', (config) => {
-      console.log('🎤 STT Provider switch request from:', socket.id, 'to:', config.provider);
+    // Handle STT provider switching (applies to this socket only)
+    socket.on('set-stt-provider', async (config) => {
+      console.log('🎤 STT Provider switch request from:', socket.id, 'to:', config?.provider);
+      
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      
+      const policyContext = { userId: clientConnection.userId };
       
       try {
-        sttProviders.setSTTProvider(config.provider);
-        const providerConfig = sttProviders.getProviderConfig();
+        const provider = sttProviders.resolveProvider(config?.provider);
+        if (!provider) {
+          throw new Error(`Unknown STT provider: ${config?.provider}`);
+        }
+        if (!(await sttProviders.isProviderAllowed(provider, policyContext))) {
+          throw new Error(`STT provider not available for this account: ${provider}`);
+        }
+        if (clientConnection.speechLanguage === sttProviders.AUTO_LANGUAGE &&
+            !sttProviders.getProviderConfig(provider)?.languageDetection) {
+          throw new Error(`STT provider cannot detect the spoken language: ${provider}`);
+        }
+        
+        clientConnection.sttProvider = provider;
+        const providerConfig = sttProviders.getProviderConfig(provider);
+        
+        // Reopen the live stream on the new provider if a session is running
+        if (clientConnection.isTranscribing) {
+          startLiveStream(socket, clientConnection);
+        }
         
         socket.emit('stt-provider-updated', {
-          provider: config.provider,
+          provider,
           config: providerConfig,
-          supportedLanguages: sttProviders.getSupportedLanguages()
+          supportedLanguages: sttProviders.getSupportedLanguages(provider)
         });
         
         console.log(`✅ STT Provider switched to: ${providerConfig.name} for client: ${socket.id}`);
@@ -89,11 +317,95 @@ module.exports = (io) => {
         console.error('❌ STT Provider switch failed:', error);
         socket.emit('stt-provider-error', {
           error: error.message,
-          availableProviders: Object.values(sttProviders.STT_PROVIDERS)
+          availableProviders: await sttProviders.getAllowedProviders(policyContext).catch(() => [])
         });
       }
     });
 
+    // Turn speaker diarization on or off for this session
+    socket.on('set-diarization', (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection || typeof config?.enabled !== 'boolean') {
+        return;
+      }
+      
+      clientConnection.diarize = config.enabled;
+      const supported = Boolean(sttProviders.getProviderConfig(clientConnection.sttProvider)?.speakerDiarization);
+      
+      // Diarization is a stream setting, so reopen a running stream
+      if (clientConnection.isTranscribing && clientConnection.liveStream) {
+        startLiveStream(socket, clientConnection);
+      }
+      
+      socket.emit('diarization-updated', { enabled: clientConnection.diarize, supported });
+      console.log(`🗣️ Diarization ${clientConnection.diarize ? 'enabled' : 'disabled'} for client: ${socket.id}`);
+    });
+
+    // Tune speech detection for batch transcription (sensitivity 0-1, hangoverMs = pause that ends an utterance)
+    socket.on('set-vad', (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      
+      const { error, settings } = voiceActivity.normalizeSettings(config || {}, clientConnection.vadSettings);
+      if (error) {
+        socket.emit('vad-error', { error });
+        return;
+      }
+      
+      clientConnection.vadSettings = settings;
+      if (clientConnection.vad) {
+        clientConnection.vad.setSettings(settings);
+      }
+      
+      socket.emit('vad-updated', settings);
+      console.log(`🎚️ VAD settings updated for client: ${socket.id}`, settings);
+    });
+
+    // Rename a speaker; the name applies to past and future segments of the session
+    socket.on('rename-speaker', async (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      
+      const validationError = diarization.validateSpeakerRename(config);
+      if (validationError) {
+        socket.emit('speaker-error', { error: validationError });
+        return;
+      }
+      
+      const speakerId = config.speakerId;
+      const name = config.name.trim();
+      clientConnection.speakers.rename(speakerId, name);
+      
+      if (clientConnection.sessionId) {
+        try {
+          await sessions.renameSpeaker(clientConnection.sessionId, speakerId, name);
+        } catch (error) {
+          console.error('❌ Failed to rename speaker in stored session:', error);
+        }
+      }
+      
+      const renamed = { speakerId, name, speakers: clientConnection.speakers.toJSON() };
+      socket.emit('speaker-renamed', renamed);
+      
+      // Room viewers relabel their captions and late joiners get the new name in history
+      if (clientConnection.room?.role === 'host') {
+        const room = rooms.getRoom(clientConnection.room.code);
+        if (room) {
+          room.history.forEach(entry => {
+            if (entry.speakerId === speakerId) {
+              entry.speaker = name;
+            }
+          });
+          socket.to(rooms.getChannel(room.code)).emit('speaker-renamed', { speakerId, name });
+        }
+      }
+      console.log(`🗣️ ${speakerId} renamed to "${name}" for client: ${socket.id}`);
+    });
+
     // Handle punctuation preferences configuration
     socket.on('set-punctuation-preferences', (config) => {
       console.log('🤖 Punctuation preferences from:', socket.id, config);
@@ -117,24 +429,70 @@ module.exports = (io) => {
     });
 
     // Handle transcription start
-    socket.on('start-transcription', () => {
+    socket.on('start-transcription', async (config) => {
       console.log('🎙️ Start transcription request from:', socket.id);
       
       const clientConnection = clientConnections.get(socket.id);
+      if (clientConnection && clientConnection.room?.role === 'viewer') {
+        socket.emit('transcription-error', { error: 'Room viewers cannot transcribe' });
+        return;
+      }
       if (clientConnection) {
+        // Clients send audio in their capture format; it is converted to 16kHz mono for the providers
+        const { error: audioError, format } = audioInput.parseAudioFormat(config?.audio);
+        if (audioError) {
+          socket.emit('transcription-error', { error: audioError });
+          return;
+        }
+        
+        if (!hasSocketScope(socket, clientConnection, 'transcribe', 'transcription-error')) {
+          return;
+        }
+        
+        // REQUIRE_EMAIL_VERIFICATION keeps unverified accounts from starting sessions
+        if (clientConnection.userId && !(await accountEmails.isEmailVerified(clientConnection.userId))) {
+          socket.emit('transcription-error', { error: 'Verify your email address before transcribing', code: 'email_unverified' });
+          return;
+        }
+        
+        // Providers this session may fail over to
+        const plan = await plans.getUserPlan(clientConnection.userId);
+        clientConnection.allowedProviders = await sttProviders.getAllowedProviders({ userId: clientConnection.userId, plan: plan.id })
+          .catch(() => null);
+        
+        // Nothing reaches a provider until the plan's limits are checked
+        const limitError = await checkPlanLimits(clientConnection, plan);
+        if (limitError) {
+          socket.emit('quota-exceeded', limitError);
+          console.log(`🚫 Transcription refused for client: ${socket.id} (${limitError.limit} limit of ${plan.id} plan)`);
+          return;
+        }
+        
+        stopAudioDecoder(clientConnection);
+        clientConnection.audioFormat = format;
+        clientConnection.audioDecoder = audioInput.createAudioDecoder(format);
         clientConnection.isTranscribing = true;
-        clientConnection.audioBuffer = Buffer.alloc(0);
-        clientConnection.lastTranscriptionTime = Date.now();
-        clientConnection.lastTranscript = ''; // Reset tracking variables
-        clientConnection.lastTranslation = ''; // Reset tracking variables
+        clientConnection.vad = null;
+        
+        // Store the session and its final segments for signed-in users
+        await startSession(clientConnection, config?.title);
+        
+        // Stream audio to the provider when it supports live transcription, otherwise fall back to batches
+        startLiveStream(socket, clientConnection);
         
         // Send current language configuration to client
         socket.emit('transcription-started', {
+          provider: clientConnection.sttProvider,
           speechLanguage: clientConnection.speechLanguage,
+          candidateLanguages: clientConnection.candidateLanguages,
           translationFrom: clientConnection.translationFrom,
-          translationTo: clientConnection.translationTo
+          translationTo: clientConnection.translationTo,
+          translationTargets: clientConnection.translationTargets,
+          sessionId: clientConnection.sessionId,
+          streaming: Boolean(clientConnection.liveStream),
+          audio: clientConnection.audioFormat
         });
-        console.log(`✅ Transcription started for client: ${socket.id} (${clientConnection.speechLanguage} → ${clientConnection.translationFrom}→${clientConnection.translationTo})`);
+        console.log(`✅ Transcription started for client: ${socket.id} (${clientConnection.speechLanguage} → ${clientConnection.translationFrom}→${clientConnection.translationTargets.join(',')})`);
       }
     });
 
@@ -148,32 +506,31 @@ module.exports = (io) => {
           return;
         }
         
-        console.log('🎵 Received audio data:', audioData?.length, 'samples from client:', socket.id);
-
-        // Convert array back to Buffer (correct way for Int16 PCM data)
-        const audioChunk = Buffer.allocUnsafe(audioData.length * 2); // 2 bytes per Int16 sample
-        for (let i = 0; i < audioData.length; i++) {
-          audioChunk.writeInt16LE(audioData[i], i * 2); // Little-endian Int16
+        // Binary PCM frames are used as-is; Opus packets are decoded here
+        const audioChunk = clientConnection.audioDecoder.decode(audioData);
+        if (audioChunk.length === 0) {
+          return;
         }
-        clientConnection.audioBuffer = Buffer.concat([clientConnection.audioBuffer, audioChunk]);
-        
-        // Process audio in chunks for real-time transcription
-        const now = Date.now();
-        const timeSinceLastTranscription = now - clientConnection.lastTranscriptionTime;
-        const bufferSizeThreshold = 16000 * 2; // 2 seconds of audio at 16kHz (larger chunks to reduce frequency)
-        const minAudioDuration = 1000; // Wait 1 second between transcriptions to reduce duplicates
         
-        console.log('🎵 Buffer status:', {
-          bufferLength: clientConnection.audioBuffer.length,
-          threshold: bufferSizeThreshold,
-          timeSince: timeSinceLastTranscription,
-          minDuration: minAudioDuration
-        });
+        // Live streams receive every frame as-is; the provider sends back interim and final results
+        if (clientConnection.liveStream) {
+          if (consumeAudioQuota(socket, clientConnection, audioChunk.length / PCM_BYTES_PER_SECOND)) {
+            clientConnection.liveStream.send(audioChunk);
+          }
+          return;
+        }
         
-        // Send for transcription if buffer is large enough and enough time has passed
-        if (clientConnection.audioBuffer.length >= bufferSizeThreshold && timeSinceLastTranscription >= minAudioDuration) {
-          console.log('🎯 Triggering transcription...');
-          await processBatchTranscription(socket, clientConnection);
+        // Batch providers get whole utterances, cut where the speaker pauses
+        if (!clientConnection.vad) {
+          startBatchAudio(clientConnection);
+        }
+        // Only utterances are billed; the one that crosses the plan limit is still transcribed
+        for (const utterance of clientConnection.vad.push(audioChunk)) {
+          console.log(`🎯 Utterance detected (${utterance.startMs}-${utterance.endMs} ms), triggering transcription...`);
+          queueUtterance(socket, clientConnection, utterance);
+          if (!consumeAudioQuota(socket, clientConnection, utterance.audio.length / PCM_BYTES_PER_SECOND)) {
+            break;
+          }
         }
         
       } catch (error) {
@@ -189,281 +546,981 @@ module.exports = (io) => {
       
       const clientConnection = clientConnections.get(socket.id);
       if (clientConnection) {
-        clientConnection.isTranscribing = false;
-        
-        // Process any remaining audio buffer
-        if (clientConnection.audioBuffer.length > 0) {
-          console.log('🎵 Processing final audio buffer:', clientConnection.audioBuffer.length, 'bytes');
-          
-          try {
-             // Use current STT provider for final buffer processing with dynamic language
-             const result = await sttProviders.transcribeBuffer(clientConnection.audioBuffer, clientConnection.speechLanguage);
-             
-             if (result && result.transcript && result.transcript.trim()) {
-              const finalRawTranscript = result.transcript.trim();
-              console.log('📝 Final transcript:', finalRawTranscript);
-              
-              // Check if this final transcript is significantly different from the last interim
-              const isFinalDifferent = !clientConnection.lastTranscript || 
-                finalRawTranscript.length > clientConnection.lastTranscript.length * 1.1 || // 10% longer for final
-                finalRawTranscript.length < clientConnection.lastTranscript.length * 0.9 || // 10% shorter for final
-                !finalRawTranscript.includes(clientConnection.lastTranscript) && !clientConnection.lastTranscript.includes(finalRawTranscript);
-              
-              if (!isFinalDifferent) {
-                console.log('🔄 Final transcript too similar to last interim, skipping');
-                return;
-              }
-              
-              // Apply AI punctuation to the transcript (if enabled)
-              let punctuatedTranscript = finalRawTranscript;
-              if (clientConnection.aiPunctuationEnabled) {
-                try {
-                  console.log('🤖 Applying AI punctuation to final transcript...');
-                  const punctuationResult = await aiPunctuation.addPunctuation(
-                    result.transcript, 
-                    clientConnection.translationFrom, 
-                    { style: clientConnection.punctuationStyle, isTranslation: false }
-                  );
-                  
-                  if (punctuationResult.processed) {
-                    punctuatedTranscript = punctuationResult.text;
-                    console.log(`✅ Final transcript punctuated (${punctuationResult.method}):`, punctuatedTranscript);
-                  } else {
-                    console.log('⚠️ Final transcript punctuation skipped');
-                  }
-                } catch (punctuationError) {
-                  console.error('❌ Final transcript punctuation failed:', punctuationError);
-                  // Continue with original transcript
-                }
-              } else {
-                console.log('⚠️ AI punctuation disabled for user, using original transcript');
-              }
-              
-              // Translate the punctuated final result with dynamic languages
-              let translatedText = '';
-              let punctuatedTranslation = '';
-              try {
-                const translationResult = await translation.translateText(punctuatedTranscript, clientConnection.translationFrom, clientConnection.translationTo);
-                
-                if (translationResult && typeof translationResult === 'object') {
-                  translatedText = translationResult.translatedText || punctuatedTranscript;
-                } else {
-                  translatedText = translationResult || punctuatedTranscript;
-                }
-                
-                // Apply punctuation to translation if it's different from original and punctuation is enabled
-                if (translatedText && translatedText !== punctuatedTranscript && clientConnection.aiPunctuationEnabled) {
-                  try {
-                    const translationPunctuationResult = await aiPunctuation.addPunctuation(
-                      translatedText, 
-                      clientConnection.translationTo, 
-                      { style: clientConnection.punctuationStyle, isTranslation: true }
-                    );
-                    
-                    if (translationPunctuationResult.processed) {
-                      punctuatedTranslation = translationPunctuationResult.text;
-                      console.log(`✅ Final translation punctuated (${translationPunctuationResult.method}):`, punctuatedTranslation);
-                    } else {
-                      punctuatedTranslation = translatedText;
-                    }
-                  } catch (translationPunctuationError) {
-                    console.error('❌ Final translation punctuation failed:', translationPunctuationError);
-                    punctuatedTranslation = translatedText;
-                  }
-                } else {
-                  punctuatedTranslation = translatedText;
-                }
-                
-                console.log(`🌍 Final translation (${clientConnection.translationFrom}→${clientConnection.translationTo}):`, punctuatedTranslation);
-              } catch (translationError) {
-                console.error('❌ Final translation failed:', translationError);
-                punctuatedTranslation = punctuatedTranscript; // Fallback to punctuated transcript
-              }
-              
-              // Send final result with AI punctuation
-              socket.emit('transcription-result', {
-                transcript: punctuatedTranscript,
-                translation: punctuatedTranslation,
-                confidence: result.confidence || 0.9,
-                isFinal: true,
-                timestamp: new Date().toISOString(),
-                speaker: 'Speaker',
-                punctuated: true // Flag to indicate AI punctuation was applied
-              });
-            }
-          } catch (error) {
-            console.error('❌ Final transcription failed:', error);
-            socket.emit('transcription-error', { error: 'Final transcription failed' });
-          }
-        }
-        
-        // Clear buffer
-        clientConnection.audioBuffer = Buffer.alloc(0);
-        console.log('✅ Transcription stopped for client:', socket.id);
+        await stopTranscription(socket, clientConnection);
+      }
+    });
+
+    // Follow an upload job's progress (owner only)
+    socket.on('watch-job', (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
       }
+      if (!clientConnection.userId) {
+        socket.emit('job-error', { jobId: config?.jobId, error: 'Sign in to follow upload jobs' });
+        return;
+      }
+      if (!hasSocketScope(socket, clientConnection, 'transcribe', 'job-error')) {
+        return;
+      }
+      
+      const job = uploadJobs.getJob(clientConnection.userId, config?.jobId);
+      if (!job) {
+        socket.emit('job-error', { jobId: config?.jobId, error: 'Job not found' });
+        return;
+      }
+      
+      socket.join(`job:${job.id}`);
+      socket.emit('job-progress', uploadJobs.toPublicJob(job));
+    });
+
+    socket.on('unwatch-job', (config) => {
+      if (config?.jobId) {
+        socket.leave(`job:${config.jobId}`);
+      }
+    });
+
+    // Host a broadcast room: viewers join with the returned code and follow this socket's results
+    socket.on('create-room', () => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      if (!hasSocketScope(socket, clientConnection, 'transcribe', 'room-error')) {
+        return;
+      }
+      if (clientConnection.room) {
+        socket.emit('room-error', { error: `Already in room ${clientConnection.room.code}` });
+        return;
+      }
+      
+      const room = rooms.createRoom(socket.id);
+      clientConnection.room = { code: room.code, role: 'host', language: null };
+      socket.join(rooms.getChannel(room.code));
+      
+      socket.emit('room-created', rooms.describeRoom(room));
+    });
+
+    // Join a room read-only as a viewer, receiving captions in the viewer's own language
+    socket.on('join-room', async (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (!clientConnection) {
+        return;
+      }
+      
+      const room = rooms.getRoom(config?.code);
+      const language = config?.language;
+      if (!room) {
+        socket.emit('room-error', { error: 'Room not found' });
+        return;
+      }
+      if (!language || !languages.isValidTranslationLanguage(language)) {
+        socket.emit('room-error', { error: 'Valid language required' });
+        return;
+      }
+      if (clientConnection.isTranscribing) {
+        socket.emit('room-error', { error: 'Stop transcribing before joining a room' });
+        return;
+      }
+      if (clientConnection.room?.role === 'host') {
+        socket.emit('room-error', { error: 'End your own room before joining another' });
+        return;
+      }
+      if (clientConnection.room && clientConnection.room.code !== room.code) {
+        leaveCurrentRoom(socket, clientConnection);
+      }
+      
+      const joinError = rooms.addViewer(room, socket.id, language);
+      if (joinError) {
+        socket.emit('room-error', { error: joinError });
+        return;
+      }
+      
+      if (clientConnection.room) {
+        socket.leave(rooms.getLanguageChannel(room.code, clientConnection.room.language));
+      }
+      clientConnection.room = { code: room.code, role: 'viewer', language };
+      socket.join(rooms.getChannel(room.code));
+      socket.join(rooms.getLanguageChannel(room.code, language));
+      console.log(`👀 Viewer ${socket.id} joined room ${room.code} (${language})`);
+      
+      socket.emit('room-joined', {
+        ...rooms.describeRoom(room),
+        language,
+        history: await getRoomHistory(room, language)
+      });
+      notifyHost(room);
+    });
+
+    // Change the caption language of a viewer
+    socket.on('set-room-language', async (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (clientConnection?.room?.role !== 'viewer') {
+        socket.emit('room-error', { error: 'Not viewing a room' });
+        return;
+      }
+      
+      const room = rooms.getRoom(clientConnection.room.code);
+      const language = config?.language;
+      if (!room || !language || !languages.isValidTranslationLanguage(language)) {
+        socket.emit('room-error', { error: 'Valid language required' });
+        return;
+      }
+      
+      const previousLanguage = clientConnection.room.language;
+      const languageError = rooms.addViewer(room, socket.id, language);
+      if (languageError) {
+        socket.emit('room-error', { error: languageError });
+        return;
+      }
+      
+      socket.leave(rooms.getLanguageChannel(room.code, previousLanguage));
+      socket.join(rooms.getLanguageChannel(room.code, language));
+      clientConnection.room.language = language;
+      
+      socket.emit('room-language-updated', {
+        language,
+        history: await getRoomHistory(room, language)
+      });
+      notifyHost(room);
+    });
+
+    socket.on('leave-room', () => {
+      const clientConnection = clientConnections.get(socket.id);
+      if (clientConnection) {
+        leaveCurrentRoom(socket, clientConnection);
+      }
+    });
+
+    // Host controls: pause/resume broadcasting, end the room, remove a viewer
+    socket.on('pause-room', () => setRoomPaused(socket, true));
+    socket.on('resume-room', () => setRoomPaused(socket, false));
+
+    socket.on('end-room', () => {
+      const clientConnection = clientConnections.get(socket.id);
+      const room = getHostedRoom(socket, clientConnection);
+      if (room) {
+        closeRoom(room, 'ended by host');
+      }
+    });
+
+    socket.on('kick-viewer', (config) => {
+      const clientConnection = clientConnections.get(socket.id);
+      const room = getHostedRoom(socket, clientConnection);
+      if (!room) {
+        return;
+      }
+      
+      const viewerId = config?.viewerId;
+      const viewer = room.viewers.get(viewerId);
+      if (!viewer || !rooms.kickViewer(room, viewerId)) {
+        socket.emit('room-error', { error: 'Viewer not found' });
+        return;
+      }
+      
+      const viewerSocket = io.sockets.sockets.get(viewerId);
+      if (viewerSocket) {
+        viewerSocket.leave(rooms.getChannel(room.code));
+        viewerSocket.leave(rooms.getLanguageChannel(room.code, viewer.language));
+        viewerSocket.emit('room-kicked', { code: room.code });
+      }
+      const viewerConnection = clientConnections.get(viewerId);
+      if (viewerConnection) {
+        viewerConnection.room = null;
+      }
+      
+      console.log(`🚫 Viewer ${viewerId} kicked from room ${room.code}`);
+      notifyHost(room);
     });
 
     // Handle client disconnect
     socket.on('disconnect', () => {
       console.log('👋 Client disconnected:', socket.id);
+      const clientConnection = clientConnections.get(socket.id);
+      if (clientConnection && clientConnection.liveStream) {
+        clientConnection.liveStream.finish();
+        clientConnection.liveStream = null;
+      }
+      if (clientConnection) {
+        clientConnection.authExpiry.stop();
+        stopAudioDecoder(clientConnection);
+        leaveCurrentRoom(socket, clientConnection);
+        endSession(clientConnection);
+        releaseAudioQuota(clientConnection);
+        setGlossary(clientConnection, null);
+      }
       clientConnections.delete(socket.id);
     });
   });
 
-  // Process audio buffer for transcription
-  async function processBatchTranscription(socket, clientConnection) {
+  // End a transcription session, letting results already spoken finish
+  async function stopTranscription(socket, clientConnection) {
+    clientConnection.isTranscribing = false;
+    releaseAudioQuota(clientConnection);
+    stopAudioDecoder(clientConnection);
+    endSession(clientConnection);
+    
+    // Let the live stream flush its final results before it closes
+    if (clientConnection.liveStream) {
+      clientConnection.liveStream.finish();
+      clientConnection.liveStream = null;
+      console.log('✅ Transcription stopped for client:', socket.id);
+      return;
+    }
+    
+    // Transcribe the utterance that was still open when the client stopped
+    const utterance = clientConnection.vad ? clientConnection.vad.flush() : null;
+    clientConnection.vad = null;
+    if (utterance) {
+      console.log('🎵 Processing final utterance:', utterance.audio.length, 'bytes');
+      await queueUtterance(socket, clientConnection, utterance);
+    }
+    
+    console.log('✅ Transcription stopped for client:', socket.id);
+  }
+
+  // The token expired and the grace period passed without a new one, or the credential was revoked:
+  // finish cleanly and disconnect
+  async function expireSocket(socket, { revoked = false } = {}) {
+    const clientConnection = clientConnections.get(socket.id);
+    if (!clientConnection) {
+      return;
+    }
+    
+    if (revoked) {
+      console.log(`🔒 Credential revoked, disconnecting client: ${socket.id}`);
+      socket.emit('auth-revoked', { error: 'Access token or API key revoked' });
+    } else {
+      console.log(`🔒 Token expired without re-authentication, disconnecting client: ${socket.id}`);
+      socket.emit('auth-expired', { error: 'Access token expired' });
+    }
     try {
-      console.log('🎵 Processing audio buffer:', clientConnection.audioBuffer.length, 'bytes');
-      
-      // Check if audio contains actual sound (not just silence)
-      const audioArray = new Int16Array(clientConnection.audioBuffer.buffer);
-      const hasSound = audioArray.some(sample => Math.abs(sample) > 100);
-      
-      if (!hasSound) {
-        console.log('🔇 Audio is mostly silence, skipping transcription');
-        clientConnection.lastTranscriptionTime = Date.now();
-        clientConnection.audioBuffer = Buffer.alloc(0);
-        return;
+      if (clientConnection.isTranscribing) {
+        await stopTranscription(socket, clientConnection);
       }
-      
-      console.log('🔊 Audio contains sound, processing with STT provider...');
+      await clientConnection.resultQueue;
+    } catch (error) {
+      console.error('❌ Failed to stop transcription for expired token:', error);
+    }
+    socket.disconnect(true);
+  }
+
+  // Check a session against its plan before it starts; returns a quota-exceeded payload or null
+  async function checkPlanLimits(clientConnection, plan) {
+    if (clientConnection.translationTargets.length > plan.maxTranslationTargets) {
+      return {
+        limit: 'translationTargets',
+        plan: plan.id,
+        allowed: plan.maxTranslationTargets,
+        error: `The ${plan.name} plan translates into at most ${plan.maxTranslationTargets} language(s)`
+      };
+    }
+    
+    if (clientConnection.allowedProviders && !clientConnection.allowedProviders.includes(clientConnection.sttProvider)) {
+      return {
+        limit: 'provider',
+        plan: plan.id,
+        allowed: clientConnection.allowedProviders,
+        error: `STT provider not included in the ${plan.name} plan: ${clientConnection.sttProvider}`
+      };
+    }
+    
+    // Every socket of the user (or anonymous address) draws on the same balance
+    releaseAudioQuota(clientConnection);
+    const account = await plans.openAudioQuota(
+      { userId: clientConnection.userId, clientAddress: clientConnection.clientAddress },
+      plan
+    );
+    if (account.remainingSeconds <= 0) {
+      plans.closeAudioQuota(account);
+      return {
+        limit: 'audioMinutes',
+        plan: plan.id,
+        allowed: plan.monthlyAudioMinutes,
+        used: plan.monthlyAudioMinutes,
+        error: `Monthly audio minutes used up on the ${plan.name} plan`
+      };
+    }
+    
+    clientConnection.quota = account;
+    return null;
+  }
+  
+  // Stop drawing on the shared allowance once the audio already sent has been metered
+  function releaseAudioQuota(clientConnection) {
+    const account = clientConnection.quota;
+    clientConnection.quota = null;
+    if (account) {
+      const close = () => plans.closeAudioQuota(account);
+      clientConnection.resultQueue.then(close, close);
+    }
+  }
+  
+  // Attach a glossary (null detaches); the one it replaces stays usable until queued results are translated
+  function setGlossary(clientConnection, glossary) {
+    const previous = clientConnection.glossary;
+    clientConnection.glossary = glossary ? glossaries.retainGlossary(glossary) : null;
+    if (previous) {
+      const release = () => glossaries.releaseGlossary(previous);
+      clientConnection.resultQueue.then(release, release);
+    }
+  }
+  
+  // Address anonymous allowances are tracked by; behind a proxy (TRUST_PROXY=true) the
+  // address it appended to X-Forwarded-For, since earlier entries come from the client
+  function getClientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY === 'true' && forwarded) {
+      return String(forwarded).split(',').pop().trim();
+    }
+    return socket.handshake.address;
+  }
+
+  // Count audio against the plan's minutes; stops the session once they run out
+  function consumeAudioQuota(socket, clientConnection, seconds) {
+    const { quota } = clientConnection;
+    if (!quota) {
+      return true;
+    }
+    
+    if (plans.consumeAudioQuota(quota, seconds) > 0) {
+      return true;
+    }
+    
+    socket.emit('quota-exceeded', {
+      limit: 'audioMinutes',
+      plan: quota.plan.id,
+      allowed: quota.plan.monthlyAudioMinutes,
+      used: quota.plan.monthlyAudioMinutes,
+      error: `Monthly audio minutes used up on the ${quota.plan.name} plan`
+    });
+    console.log(`🚫 Audio quota used up, stopping transcription for client: ${socket.id}`);
+    stopTranscription(socket, clientConnection)
+      .catch(error => console.error('❌ Failed to stop transcription:', error));
+    return false;
+  }
+
+  // Transcribe utterances one at a time so results keep their spoken order
+  function queueUtterance(socket, clientConnection, utterance) {
+    clientConnection.resultQueue = clientConnection.resultQueue
+      .then(() => processBatchTranscription(socket, clientConnection, utterance))
+      .catch((error) => console.error('❌ Utterance handling failed:', error));
+    return clientConnection.resultQueue;
+  }
+
+  // Transcribe one utterance detected by the VAD
+  async function processBatchTranscription(socket, clientConnection, utterance) {
+    try {
+      console.log('🎵 Processing utterance:', utterance.audio.length, 'bytes');
       console.log('🔄 Starting STT transcription...');
       
-      // Use current STT provider for transcription with dynamic language
-      const result = await sttProviders.transcribeBuffer(clientConnection.audioBuffer, clientConnection.speechLanguage);
+      const timing = { startMs: utterance.startMs, endMs: utterance.endMs };
+      
+      // Use the session's STT provider for transcription with dynamic language
+      const result = await sttProviders.transcribeBuffer(
+        utterance.audio,
+        clientConnection.speechLanguage,
+        clientConnection.sttProvider,
+        {
+          allowedProviders: clientConnection.allowedProviders,
+          candidateLanguages: clientConnection.candidateLanguages,
+          usage: getUsageContext(clientConnection)
+        }
+      );
       console.log('✅ STT transcription completed:', result?.transcript?.length || 0, 'characters');
       console.log('📥 STT API response:', result);
       
       if (result && result.transcript && result.transcript.trim()) {
         const rawTranscript = result.transcript.trim();
+        console.log('📝 Transcript received:', rawTranscript);
         
-        // Check if this transcript is significantly different from the last one
-        const isSignificantlyDifferent = !clientConnection.lastTranscript || 
-          rawTranscript.length > clientConnection.lastTranscript.length * 1.2 || // 20% longer
-          rawTranscript.length < clientConnection.lastTranscript.length * 0.8 || // 20% shorter
-          !rawTranscript.includes(clientConnection.lastTranscript) && !clientConnection.lastTranscript.includes(rawTranscript);
+        const sourceLanguage = getSourceLanguage(clientConnection, result.detectedLanguage);
+        const { transcript: punctuatedTranscript, translation: punctuatedTranslation, translations } =
+          await punctuateAndTranslate(clientConnection, rawTranscript, 'Final', { sourceLanguage });
         
-        if (!isSignificantlyDifferent) {
-          console.log('🔄 Transcript too similar to last one, skipping:', rawTranscript);
-          clientConnection.lastTranscriptionTime = Date.now();
-          return;
+        // Send transcription result with AI punctuation
+        console.log('📤 Sending transcription result to client...');
+        const batchResult = {
+          // Utterances do not overlap, so each one is its own segment and final at once
+          ...clientConnection.segments.finalize(punctuatedTranscript),
+          transcript: punctuatedTranscript,
+          translation: punctuatedTranslation,
+          translations,
+          language: sourceLanguage,
+          confidence: result.confidence || 0.9,
+          words: sttProviders.toTimedWords(result.words, timing.startMs),
+          provider: result.provider,
+          isFinal: true,
+          timestamp: new Date().toISOString(),
+          speaker: diarization.DEFAULT_SPEAKER,
+          speakerId: null,
+          punctuated: true // Flag to indicate AI punctuation was applied
+        };
+        noteDetectedLanguage(socket, clientConnection, result.detectedLanguage, batchResult.segmentId);
+        emitResult(socket, clientConnection, batchResult);
+        saveSegment(clientConnection, batchResult, timing);
+      } else {
+        console.log('🔇 No transcript detected in audio - Google Speech returned empty');
+      }
+      
+    } catch (error) {
+      // Audio the providers will not take (too short) is just dropped
+      if (error.input) {
+        console.log(`🔇 Utterance skipped: ${error.message}`);
+        return;
+      }
+      console.error('❌ Batch transcription failed:', error);
+      socket.emit('transcription-error', { 
+        error: `Transcription failed: ${error.message}` 
+      });
+    }
+  }
+
+  // Send a result to the client and, for room hosts, to every viewer in their own language
+  function emitResult(socket, clientConnection, result) {
+    const { translations } = result;
+    
+    // Hosts only see their own targets; viewer languages are translated for the room
+    const ownTranslations = {};
+    clientConnection.translationTargets.forEach(target => {
+      ownTranslations[target] = translations[target];
+    });
+    socket.emit('transcription-result', { ...result, translations: ownTranslations });
+    
+    if (clientConnection.room?.role !== 'host') {
+      return;
+    }
+    const room = rooms.getRoom(clientConnection.room.code);
+    if (!room) {
+      return;
+    }
+    
+    const broadcast = {
+      segmentId: result.segmentId,
+      stableText: result.stableText,
+      unstableText: result.unstableText,
+      stableRevised: result.stableRevised,
+      transcript: result.transcript,
+      confidence: result.confidence,
+      words: result.words,
+      isFinal: result.isFinal,
+      timestamp: result.timestamp,
+      speaker: result.speaker,
+      speakerId: result.speakerId,
+      sourceLanguage: result.language
+    };
+    
+    // Late joiners get recent finals even if the room was paused while they were spoken
+    if (result.isFinal) {
+      rooms.addToHistory(room, { ...broadcast, translations });
+    }
+    if (room.paused) {
+      return;
+    }
+    
+    rooms.getViewerLanguages(room).forEach(language => {
+      io.to(rooms.getLanguageChannel(room.code, language)).emit('transcription-result', {
+        ...broadcast,
+        language,
+        translation: translations[language] ?? null,
+        room: room.code
+      });
+    });
+  }
+
+  // Languages a client's results must be translated into (its own targets plus room viewers')
+  function getTranslationTargets(clientConnection) {
+    const targets = [...clientConnection.translationTargets];
+    if (clientConnection.room?.role === 'host') {
+      const room = rooms.getRoom(clientConnection.room.code);
+      if (room) {
+        rooms.getViewerLanguages(room).forEach(language => {
+          if (!targets.includes(language)) {
+            targets.push(language);
+          }
+        });
+      }
+    }
+    return targets;
+  }
+
+  // Room history in one language, translating entries spoken before anyone needed that language
+  async function getRoomHistory(room, language) {
+    const host = clientConnections.get(room.hostSocketId);
+    
+    return Promise.all(room.history.map(async (entry) => {
+      let text = entry.translations[language];
+      if (text === undefined && host) {
+        const translationResult = await translation.translateText(
+          entry.transcript,
+          entry.sourceLanguage,
+          language,
+          { engine: host.translationEngine, glossary: host.glossary, usage: getUsageContext(host) }
+        );
+        text = translationResult.translatedText;
+        entry.translations[language] = text;
+      }
+      
+      const { translations, ...rest } = entry;
+      return { ...rest, language, translation: text ?? null, room: room.code };
+    }));
+  }
+
+  // API-key sockets may only do what the key's scopes allow; reports a refusal on errorEvent
+  function hasSocketScope(socket, clientConnection, scope, errorEvent) {
+    if (apiKeys.hasScope(clientConnection.scopes, scope)) {
+      return true;
+    }
+    socket.emit(errorEvent, { error: `API key lacks the ${scope} scope`, code: 'insufficient_scope' });
+    return false;
+  }
+
+  // Look up the room a socket hosts, reporting an error if it hosts none
+  function getHostedRoom(socket, clientConnection) {
+    const room = clientConnection?.room?.role === 'host' ? rooms.getRoom(clientConnection.room.code) : null;
+    if (!room) {
+      socket.emit('room-error', { error: 'Only the room host can do that' });
+    }
+    return room;
+  }
+
+  function setRoomPaused(socket, paused) {
+    const clientConnection = clientConnections.get(socket.id);
+    const room = getHostedRoom(socket, clientConnection);
+    if (!room) {
+      return;
+    }
+    
+    room.paused = paused;
+    io.to(rooms.getChannel(room.code)).emit(paused ? 'room-paused' : 'room-resumed', { code: room.code });
+    console.log(`📺 Room ${room.code} ${paused ? 'paused' : 'resumed'}`);
+  }
+
+  // Tell the host who is watching
+  function notifyHost(room) {
+    io.to(room.hostSocketId).emit('room-viewers-updated', {
+      ...rooms.describeRoom(room),
+      viewers: Array.from(room.viewers.entries()).map(([viewerId, viewer]) => ({ viewerId, ...viewer }))
+    });
+  }
+
+  // End a room and detach everyone in it
+  function closeRoom(room, reason) {
+    const channel = rooms.getChannel(room.code);
+    io.to(channel).emit('room-ended', { code: room.code, reason });
+    
+    [room.hostSocketId, ...room.viewers.keys()].forEach(socketId => {
+      const connection = clientConnections.get(socketId);
+      if (connection) {
+        connection.room = null;
+      }
+    });
+    io.in(channel).socketsLeave(channel);
+    rooms.getViewerLanguages(room).forEach(language => {
+      const languageChannel = rooms.getLanguageChannel(room.code, language);
+      io.in(languageChannel).socketsLeave(languageChannel);
+    });
+    
+    rooms.endRoom(room.code);
+  }
+
+  // Leave whatever room the client is in; hosts leaving ends the room
+  function leaveCurrentRoom(socket, clientConnection) {
+    if (!clientConnection.room) {
+      return;
+    }
+    
+    const room = rooms.getRoom(clientConnection.room.code);
+    if (!room) {
+      clientConnection.room = null;
+      return;
+    }
+    
+    if (clientConnection.room.role === 'host') {
+      closeRoom(room, 'host left');
+      return;
+    }
+    
+    rooms.removeViewer(room, socket.id);
+    socket.leave(rooms.getChannel(room.code));
+    socket.leave(rooms.getLanguageChannel(room.code, clientConnection.room.language));
+    clientConnection.room = null;
+    notifyHost(room);
+  }
+
+  // Create a stored session for signed-in users; transcription continues without one if this fails
+  async function startSession(clientConnection, title = null) {
+    // A start while already transcribing replaces the running session, which must not stay open forever
+    endSession(clientConnection);
+    clientConnection.sessionId = null;
+    clientConnection.sessionStartedAt = Date.now();
+    clientConnection.segmentSequence = 0;
+    clientConnection.speakers = diarization.createSpeakerRegistry();
+    clientConnection.segments = segmentTracker.createSegmentTracker();
+    clientConnection.detectedLanguage = null;
+    
+    if (!clientConnection.userId) {
+      return;
+    }
+    
+    try {
+      const session = await sessions.createSession(clientConnection.userId, {
+        title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 255) : null,
+        speechLanguage: clientConnection.speechLanguage,
+        sourceLanguage: clientConnection.translationFrom,
+        targetLanguages: clientConnection.translationTargets,
+        sttProvider: clientConnection.sttProvider,
+        translationEngine: clientConnection.translationEngine
+      });
+      clientConnection.sessionId = session.id;
+    } catch (error) {
+      console.error('❌ Failed to create transcription session:', error);
+    }
+  }
+
+  // Mark the stored session as ended (late live finals are still saved to it)
+  function endSession(clientConnection) {
+    if (clientConnection.sessionId) {
+      sessions.endSession(clientConnection.sessionId)
+        .catch(error => console.error('❌ Failed to end transcription session:', error));
+    }
+  }
+
+  // Who provider usage caused by this client is metered to
+  function getUsageContext(clientConnection) {
+    return { userId: clientConnection.userId, sessionId: clientConnection.sessionId };
+  }
+
+  // Offsets of a live result relative to the session start
+  function getLiveTiming(clientConnection, result) {
+    if (typeof result.start !== 'number') {
+      const endMs = Date.now() - clientConnection.sessionStartedAt;
+      return { startMs: endMs, endMs };
+    }
+    const streamOffset = clientConnection.streamStartedAt - clientConnection.sessionStartedAt;
+    const startMs = Math.round(streamOffset + result.start * 1000);
+    return { startMs, endMs: Math.round(startMs + (result.duration || 0) * 1000) };
+  }
+
+  // Store a segment of the client's session in the background
+  function saveSegment(clientConnection, result, timing) {
+    if (!clientConnection.sessionId) {
+      return;
+    }
+    
+    sessions.addSegment(clientConnection.sessionId, {
+      sequence: clientConnection.segmentSequence++,
+      transcript: result.transcript,
+      translation: result.translation,
+      translations: result.translations,
+      confidence: result.confidence,
+      speaker: result.speaker,
+      speakerId: result.speakerId,
+      startMs: timing.startMs,
+      endMs: timing.endMs,
+      words: result.words,
+      spokenAt: result.timestamp,
+      provider: result.provider,
+      sourceLanguage: result.language || clientConnection.translationFrom,
+      targetLanguage: clientConnection.translationTo
+    }).catch(error => console.error('❌ Failed to save transcript segment:', error));
+  }
+
+  // Open a live STT stream for the client, if its provider supports streaming
+  function startLiveStream(socket, clientConnection) {
+    const wasLive = Boolean(clientConnection.liveStream);
+    if (clientConnection.liveStream) {
+      clientConnection.liveStream.finish();
+      clientConnection.liveStream = null;
+    }
+    
+    try {
+      const liveStream = sttProviders.createLiveStream(clientConnection.speechLanguage, {
+        onResult: (result) => {
+          // Serialize handling so a slow translation cannot reorder interim and final results
+          clientConnection.resultQueue = clientConnection.resultQueue
+            .then(() => handleLiveResult(socket, clientConnection, result))
+            .catch((error) => console.error('❌ Live result handling failed:', error));
+        },
+        onError: (error) => {
+          console.error('❌ Live transcription error for client:', socket.id, error);
+          socket.emit('transcription-error', { error: 'Live transcription failed: ' + (error?.message || 'stream error') });
+        },
+        onClose: () => {
+          // Keep the session alive on batch transcription if the stream drops mid-session
+          if (clientConnection.liveStream === liveStream) {
+            console.log('⚠️ Live stream closed unexpectedly, falling back to batch transcription for:', socket.id);
+            clientConnection.liveStream = null;
+            startBatchAudio(clientConnection);
+          }
         }
+      }, clientConnection.sttProvider, {
+        diarize: clientConnection.diarize,
+        candidateLanguages: clientConnection.candidateLanguages,
+        usage: getUsageContext(clientConnection)
+      });
+      
+      clientConnection.liveStream = liveStream;
+      clientConnection.streamStartedAt = Date.now();
+      if (liveStream) {
+        console.log(`📡 Live stream opened for client: ${socket.id} (${liveStream.provider})`);
+        // Switching from a batch provider: finish the utterance in progress
+        const pending = clientConnection.vad ? clientConnection.vad.flush() : null;
+        clientConnection.vad = null;
+        if (pending) {
+          queueUtterance(socket, clientConnection, pending);
+        }
+      } else if (wasLive || !clientConnection.vad) {
+        startBatchAudio(clientConnection);
+      }
+    } catch (error) {
+      console.error('❌ Failed to open live stream, using batch transcription:', error);
+      clientConnection.liveStream = null;
+      startBatchAudio(clientConnection);
+    }
+  }
+
+  // Release the client's audio decoder (Opus decoders hold WebAssembly memory)
+  function stopAudioDecoder(clientConnection) {
+    if (clientConnection.audioDecoder) {
+      clientConnection.audioDecoder.destroy();
+      clientConnection.audioDecoder = null;
+    }
+  }
+
+  // Start detecting utterances for batch providers; their times continue from the current session time
+  function startBatchAudio(clientConnection) {
+    clientConnection.vad = voiceActivity.createVad(
+      clientConnection.vadSettings,
+      Math.max(0, Date.now() - clientConnection.sessionStartedAt)
+    );
+  }
+
+  // Relay an interim or final result from a live STT stream
+  async function handleLiveResult(socket, clientConnection, result) {
+    const rawTranscript = result?.transcript?.trim();
+    if (!rawTranscript) {
+      // An empty final retracts the interim text of the open segment
+      if (result?.isFinal) {
+        discardOpenSegment(socket, clientConnection);
+      }
+      return;
+    }
+    
+    const words = result.words || [];
+    const diarized = clientConnection.diarize && words.some(word => word.speaker !== undefined && word.speaker !== null);
+    
+    // Finals with several speakers become one segment per speaker turn
+    if (diarized && result.isFinal) {
+      for (const part of diarization.splitBySpeaker(words)) {
+        await emitLiveSegment(socket, clientConnection, result, part);
+      }
+      return;
+    }
+    
+    await emitLiveSegment(socket, clientConnection, result, {
+      transcript: rawTranscript,
+      speakerId: diarized ? diarization.getLeadingSpeakerId(words) : null,
+      confidence: result.confidence,
+      words,
+      start: result.start,
+      duration: result.duration
+    });
+  }
+
+  // Punctuate, translate, emit and store one live segment
+  async function emitLiveSegment(socket, clientConnection, result, segment) {
+    // Interim results are revised many times a second, so only finals go through AI punctuation
+    const sourceLanguage = getSourceLanguage(clientConnection, result.detectedLanguage);
+    const { transcript, translation, translations } = await punctuateAndTranslate(
+      clientConnection,
+      segment.transcript,
+      result.isFinal ? 'Final' : 'Interim',
+      { punctuate: result.isFinal, sourceLanguage }
+    );
+    
+    // Interims revise the open segment; a final replaces it once and closes it
+    const segmentFields = result.isFinal
+      ? clientConnection.segments.finalize(transcript)
+      : clientConnection.segments.revise(transcript);
+    
+    const liveResult = {
+      ...segmentFields,
+      transcript,
+      translation,
+      translations,
+      language: sourceLanguage,
+      confidence: segment.confidence || 0.9,
+      // Live word times restart at zero with each stream
+      words: sttProviders.toTimedWords(segment.words, clientConnection.streamStartedAt - clientConnection.sessionStartedAt),
+      provider: result.provider,
+      isFinal: Boolean(result.isFinal),
+      timestamp: result.timestamp || new Date().toISOString(),
+      speaker: clientConnection.speakers.getLabel(segment.speakerId),
+      speakerId: segment.speakerId,
+      punctuated: true
+    };
+    if (liveResult.isFinal) {
+      noteDetectedLanguage(socket, clientConnection, result.detectedLanguage, liveResult.segmentId);
+    }
+    emitResult(socket, clientConnection, liveResult);
+    
+    if (liveResult.isFinal) {
+      saveSegment(clientConnection, liveResult, getLiveTiming(clientConnection, segment));
+    }
+  }
+
+  // Tell the client (and room viewers) to drop a segment that will not be finalized
+  function discardOpenSegment(socket, clientConnection) {
+    const segmentId = clientConnection.segments.discard();
+    if (!segmentId) {
+      return;
+    }
+    
+    socket.emit('transcription-segment-removed', { segmentId });
+    // The host is in the room channel too, so the broadcast skips it
+    if (clientConnection.room?.role === 'host') {
+      socket.to(rooms.getChannel(clientConnection.room.code)).emit('transcription-segment-removed', { segmentId });
+    }
+  }
+
+  // Translation source for a result: the detected language in auto mode, otherwise the configured source
+  function getSourceLanguage(clientConnection, detectedLanguage) {
+    if (clientConnection.speechLanguage !== sttProviders.AUTO_LANGUAGE) {
+      return clientConnection.translationFrom;
+    }
+    if (detectedLanguage && languages.isValidTranslationLanguage(detectedLanguage)) {
+      return detectedLanguage;
+    }
+    // Nothing usable detected (short or silent segment): assume the speaker has not switched
+    return clientConnection.detectedLanguage || clientConnection.translationFrom;
+  }
+
+  // Tell the client when auto mode hears a different language than the last final segment
+  function noteDetectedLanguage(socket, clientConnection, detectedLanguage, segmentId) {
+    if (clientConnection.speechLanguage !== sttProviders.AUTO_LANGUAGE ||
+        !detectedLanguage || !languages.isValidTranslationLanguage(detectedLanguage) ||
+        detectedLanguage === clientConnection.detectedLanguage) {
+      return;
+    }
+    
+    const previousLanguage = clientConnection.detectedLanguage;
+    clientConnection.detectedLanguage = detectedLanguage;
+    socket.emit('language-detected', { language: detectedLanguage, previousLanguage, segmentId });
+    console.log(`🔎 Spoken language ${previousLanguage ? `switched ${previousLanguage} → ` : 'detected: '}${detectedLanguage} for client: ${socket.id}`);
+  }
+
+  // Apply AI punctuation (if enabled) and translate a transcript with the client's languages
+  // sourceLanguage is the language the transcript was spoken in (defaults to the configured source)
+  async function punctuateAndTranslate(clientConnection, rawTranscript, label, { punctuate = true, sourceLanguage = clientConnection.translationFrom } = {}) {
+    const usePunctuation = punctuate && clientConnection.aiPunctuationEnabled;
+    
+    let punctuatedTranscript = rawTranscript;
+    if (usePunctuation) {
+      try {
+        console.log(`🤖 Applying AI punctuation to ${label.toLowerCase()} transcript...`);
+        const punctuationResult = await aiPunctuation.addPunctuation(
+          rawTranscript, 
+          sourceLanguage, 
+          { style: clientConnection.punctuationStyle, isTranslation: false }
+        );
         
-        console.log('📝 Transcript received:', rawTranscript);
-        
-        // Apply AI punctuation to the interim transcript (if enabled)
-        let punctuatedTranscript = rawTranscript;
-        if (clientConnection.aiPunctuationEnabled) {
-          try {
-            console.log('🤖 Applying AI punctuation to interim transcript...');
-            const punctuationResult = await aiPunctuation.addPunctuation(
-              result.transcript, 
-              clientConnection.translationFrom, 
-              { style: clientConnection.punctuationStyle, isTranslation: false }
-            );
-            
-            if (punctuationResult.processed) {
-              punctuatedTranscript = punctuationResult.text;
-              console.log(`✅ Interim transcript punctuated (${punctuationResult.method}):`, punctuatedTranscript);
-            } else {
-              console.log('⚠️ Interim transcript punctuation skipped');
-            }
-          } catch (punctuationError) {
-            console.error('❌ Interim transcript punctuation failed:', punctuationError);
-            // Continue with original transcript
-          }
+        if (punctuationResult.processed) {
+          punctuatedTranscript = punctuationResult.text;
+          console.log(`✅ ${label} transcript punctuated (${punctuationResult.method}):`, punctuatedTranscript);
         } else {
-          console.log('⚠️ AI punctuation disabled for user, using original transcript');
+          console.log(`⚠️ ${label} transcript punctuation skipped`);
         }
-        
-        // Translate the punctuated text with dynamic languages
-        let translatedText = '';
-        let punctuatedTranslation = '';
-        let translationFailed = false;
+      } catch (punctuationError) {
+        console.error(`❌ ${label} transcript punctuation failed:`, punctuationError);
+        // Continue with original transcript
+      }
+    } else if (punctuate) {
+      console.log('⚠️ AI punctuation disabled for user, using original transcript');
+    }
+    
+    // Translate into every target language in parallel (each pair goes through the translation cache)
+    const targets = getTranslationTargets(clientConnection);
+    const results = await Promise.all(targets.map(target =>
+      translateForTarget(clientConnection, punctuatedTranscript, sourceLanguage, target, label, usePunctuation)
+    ));
+    
+    const translations = {};
+    results.forEach((result, index) => {
+      translations[targets[index]] = result.translation;
+    });
+    
+    return {
+      transcript: punctuatedTranscript,
+      translation: results[0].translation, // Primary target, kept for single-language clients
+      translations,
+      translationFailed: results.some(result => result.translationFailed)
+    };
+  }
+
+  // Translate a punctuated transcript into one target language, punctuating the translation if enabled
+  async function translateForTarget(clientConnection, punctuatedTranscript, sourceLanguage, targetLanguage, label, usePunctuation) {
+    // Segments already spoken in the target language are passed through untranslated
+    if (targetLanguage.split('-')[0].toLowerCase() === sourceLanguage.split('-')[0].toLowerCase()) {
+      return { translation: punctuatedTranscript, translationFailed: false };
+    }
+    
+    let translatedText = '';
+    let punctuatedTranslation = '';
+    let translationFailed = false;
+    try {
+      console.log(`🌍 Starting translation: "${punctuatedTranscript}" (${sourceLanguage}→${targetLanguage})`);
+      const translationResult = await translation.translateText(
+        punctuatedTranscript,
+        sourceLanguage,
+        targetLanguage,
+        { engine: clientConnection.translationEngine, glossary: clientConnection.glossary, usage: getUsageContext(clientConnection) }
+      );
+      
+      if (translationResult && typeof translationResult === 'object') {
+        translatedText = translationResult.translatedText || punctuatedTranscript;
+        translationFailed = translationResult.translationFailed || false;
+        if (translationFailed) {
+          console.warn(`⚠️ Translation failed, using original text: ${translationResult.error}`);
+        }
+      } else {
+        translatedText = translationResult || punctuatedTranscript; // Fallback
+      }
+      
+      // Apply punctuation to translation if it's different from original and punctuation is enabled
+      if (translatedText && translatedText !== punctuatedTranscript && !translationFailed && usePunctuation) {
         try {
-          console.log(`🌍 Starting translation: "${punctuatedTranscript}" (${clientConnection.translationFrom}→${clientConnection.translationTo})`);
-          const translationResult = await translation.translateText(punctuatedTranscript, clientConnection.translationFrom, clientConnection.translationTo);
-          
-          if (translationResult && typeof translationResult === 'object') {
-            translatedText = translationResult.translatedText || punctuatedTranscript;
-            translationFailed = translationResult.translationFailed || false;
-            if (translationFailed) {
-              console.warn(`⚠️ Translation failed, using original text: ${translationResult.error}`);
-            }
-          } else {
-            translatedText = translationResult || punctuatedTranscript; // Fallback
-          }
+          const translationPunctuationResult = await aiPunctuation.addPunctuation(
+            translatedText, 
+            targetLanguage, 
+            { style: clientConnection.punctuationStyle, isTranslation: true }
+          );
           
-          // Apply punctuation to translation if it's different from original and punctuation is enabled
-          if (translatedText && translatedText !== punctuatedTranscript && !translationFailed && clientConnection.aiPunctuationEnabled) {
-            try {
-              const translationPunctuationResult = await aiPunctuation.addPunctuation(
-                translatedText, 
-                clientConnection.translationTo, 
-                { style: clientConnection.punctuationStyle, isTranslation: true }
-              );
-              
-              if (translationPunctuationResult.processed) {
-                punctuatedTranslation = translationPunctuationResult.text;
-                console.log(`✅ Interim translation punctuated (${translationPunctuationResult.method}):`, punctuatedTranslation);
-              } else {
-                punctuatedTranslation = translatedText;
-              }
-            } catch (translationPunctuationError) {
-              console.error('❌ Interim translation punctuation failed:', translationPunctuationError);
-              punctuatedTranslation = translatedText;
-            }
+          if (translationPunctuationResult.processed) {
+            punctuatedTranslation = translationPunctuationResult.text;
+            console.log(`✅ ${label} translation punctuated (${translationPunctuationResult.method}):`, punctuatedTranslation);
           } else {
             punctuatedTranslation = translatedText;
           }
-          
-          console.log(`🌍 Translation ${translationFailed ? 'FAILED (using original)' : 'SUCCESS'}: "${punctuatedTranslation}"`);
-        } catch (translationError) {
-          console.error('❌ Translation FAILED:', translationError);
-          console.error('❌ Translation error details:', translationError.message);
-          punctuatedTranslation = punctuatedTranscript; // Fallback to punctuated transcript
-          translationFailed = true;
-        }
-        
-        // Check if translation is significantly different from last one
-        const isTranslationDifferent = !clientConnection.lastTranslation || 
-          punctuatedTranslation !== clientConnection.lastTranslation;
-        
-        if (!isTranslationDifferent) {
-          console.log('🔄 Translation too similar to last one, skipping:', punctuatedTranslation);
-        } else {
-          // Send transcription result with AI punctuation
-          console.log('📤 Sending transcription result to client...');
-          socket.emit('transcription-result', {
-            transcript: punctuatedTranscript,
-            translation: punctuatedTranslation,
-            confidence: result.confidence || 0.9,
-            isFinal: false, // This is an interim result
-            timestamp: new Date().toISOString(),
-            speaker: 'Speaker',
-            punctuated: true // Flag to indicate AI punctuation was applied
-          });
-        }
-        
-        // Update tracking variables
-        clientConnection.lastTranscriptionTime = Date.now();
-        clientConnection.lastTranscript = punctuatedTranscript;
-        clientConnection.lastTranslation = punctuatedTranslation;
-        
-        // Clear processed audio (keep only recent audio)
-        const keepBufferSize = 16000; // Keep ~0.5 seconds for context
-        if (clientConnection.audioBuffer.length > keepBufferSize) {
-          clientConnection.audioBuffer = clientConnection.audioBuffer.slice(-keepBufferSize);
+        } catch (translationPunctuationError) {
+          console.error(`❌ ${label} translation punctuation failed:`, translationPunctuationError);
+          punctuatedTranslation = translatedText;
         }
       } else {
-        console.log('🔇 No transcript detected in audio - Google Speech returned empty');
+        punctuatedTranslation = translatedText;
       }
       
-    } catch (error) {
-      console.error('❌ Batch transcription failed:', error);
-      socket.emit('transcription-error', { 
-        error: `Transcription failed: ${error.message}` 
-      });
+      console.log(`🌍 Translation to ${targetLanguage} ${translationFailed ? 'FAILED (using original)' : 'SUCCESS'}: "${punctuatedTranslation}"`);
+    } catch (translationError) {
+      console.error('❌ Translation FAILED:', translationError);
+      console.error('❌ Translation error details:', translationError.message);
+      punctuatedTranslation = punctuatedTranscript; // Fallback to punctuated transcript
+      translationFailed = true;
     }
+    
+    return {
+      translation: punctuatedTranslation,
+      translationFailed
+    };
   }
-}; 
\ No newline at end of file
+};
\ No newline at end of file
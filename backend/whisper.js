@@ -2,16 +2,83 @@ const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
+const languages = require('./languages');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const PROVIDER_ID = 'whisper-1';
+
+// OpenAI client, created on first use so the server still boots without OPENAI_API_KEY
+let openai = null;
+
+const getClient = () => {
+  if (!openai) {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return openai;
+};
+
+/**
+ * Language names reported by Whisper when it detects the language, by ISO-639-1 code
+ */
+const LANGUAGE_NAMES = {
+  af: 'afrikaans', am: 'amharic', ar: 'arabic', as: 'assamese', az: 'azerbaijani', ba: 'bashkir',
+  be: 'belarusian', bg: 'bulgarian', bn: 'bengali', bo: 'tibetan', br: 'breton', bs: 'bosnian',
+  ca: 'catalan', cs: 'czech', cy: 'welsh', da: 'danish', de: 'german', el: 'greek', en: 'english',
+  es: 'spanish', et: 'estonian', eu: 'basque', fa: 'persian', fi: 'finnish', fo: 'faroese',
+  fr: 'french', gl: 'galician', gu: 'gujarati', ha: 'hausa', haw: 'hawaiian', he: 'hebrew',
+  hi: 'hindi', hr: 'croatian', ht: 'haitian creole', hu: 'hungarian', hy: 'armenian',
+  id: 'indonesian', is: 'icelandic', it: 'italian', ja: 'japanese', jw: 'javanese', ka: 'georgian',
+  kk: 'kazakh', km: 'khmer', kn: 'kannada', ko: 'korean', la: 'latin', lb: 'luxembourgish',
+  ln: 'lingala', lo: 'lao', lt: 'lithuanian', lv: 'latvian', mg: 'malagasy', mi: 'maori',
+  mk: 'macedonian', ml: 'malayalam', mn: 'mongolian', mr: 'marathi', ms: 'malay', mt: 'maltese',
+  my: 'myanmar', ne: 'nepali', nl: 'dutch', nn: 'nynorsk', no: 'norwegian', oc: 'occitan',
+  pa: 'punjabi', pl: 'polish', ps: 'pashto', pt: 'portuguese', ro: 'romanian', ru: 'russian',
+  sa: 'sanskrit', sd: 'sindhi', si: 'sinhala', sk: 'slovak', sl: 'slovenian', sn: 'shona',
+  so: 'somali', sq: 'albanian', sr: 'serbian', su: 'sundanese', sv: 'swedish', sw: 'swahili',
+  ta: 'tamil', te: 'telugu', tg: 'tajik', th: 'thai', tk: 'turkmen', tl: 'tagalog', tr: 'turkish',
+  tt: 'tatar', uk: 'ukrainian', ur: 'urdu', uz: 'uzbek', vi: 'vietnamese', yi: 'yiddish',
+  yo: 'yoruba', zh: 'chinese'
+};
+
+/**
+ * Convert a detected language (name or code) to its ISO-639-1 code
+ * @param {string} detected - Language reported by Whisper
+ * @returns {string|null} Language code, or null if unknown
+ */
+const toLanguageCode = (detected) => {
+  if (!detected) return null;
+  const value = detected.toLowerCase();
+  if (LANGUAGE_NAMES[value]) return value;
+  const entry = Object.entries(LANGUAGE_NAMES).find(([, name]) => name === value);
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Map Whisper words to the common STT word shape
+ * Whisper has no per-word confidence, so each word takes its segment's score
+ * @param {Array} words - verbose_json words ({ word, start, end })
+ * @param {Array} segments - verbose_json segments ({ start, end, avg_logprob })
+ * @returns {Array} Words with start/end in seconds
+ */
+const normalizeWords = (words = [], segments = []) => {
+  return (words || []).map(word => {
+    const segment = (segments || []).find(candidate => word.start >= candidate.start && word.start < candidate.end);
+    return {
+      word: word.word.trim(),
+      start: word.start,
+      end: word.end,
+      // avg_logprob is a log probability; exp() turns it into a rough 0..1 score
+      confidence: segment && typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null,
+      speaker: null
+    };
+  });
+};
 
 /**
  * Transcribe audio buffer using OpenAI Whisper API
  * @param {Buffer} audioBuffer - Raw PCM audio data (16kHz, 16-bit, mono)
- * @param {string} language - Language code (default: 'cs' for Czech)
+ * @param {string|null} language - Language code (default: 'cs' for Czech; null detects the language)
  * @returns {Promise<Object>} Transcription result
  */
 const transcribeBuffer = async (audioBuffer, language = 'cs') => {
@@ -20,12 +87,14 @@ const transcribeBuffer = async (audioBuffer, language = 'cs') => {
   try {
     console.log('🎤 Whisper: Starting transcription...');
     console.log('🎤 Audio buffer size:', audioBuffer.length, 'bytes');
-    console.log('🎤 Language:', language);
+    console.log('🎤 Language:', language || 'auto-detect');
     
     // Validate audio buffer size
     const minBufferSize = 16000; // ~0.5 seconds at 16kHz 16-bit
     if (audioBuffer.length < minBufferSize) {
-      throw new Error(`Audio buffer too small: ${audioBuffer.length} bytes (minimum: ${minBufferSize} bytes)`);
+      const error = new Error(`Audio buffer too small: ${audioBuffer.length} bytes (minimum: ${minBufferSize} bytes)`);
+      error.input = true; // The audio's fault, not the provider's
+      throw error;
     }
     
     // Create WAV file from PCM buffer
@@ -39,11 +108,12 @@ const transcribeBuffer = async (audioBuffer, language = 'cs') => {
     console.log('🎤 WAV file size:', wavBuffer.length, 'bytes');
     
     // Transcribe using OpenAI Whisper
-    const transcription = await openai.audio.transcriptions.create({
+    const transcription = await getClient().audio.transcriptions.create({
       file: fs.createReadStream(tempFilePath),
       model: 'whisper-1',
-      language: language,
+      ...(language ? { language } : {}), // Without a language Whisper detects it
       response_format: 'verbose_json',
+      timestamp_granularities: ['word', 'segment'],
       temperature: 0.1
     });
     
@@ -56,11 +126,16 @@ const transcribeBuffer = async (audioBuffer, language = 'cs') => {
       tempFilePath = null;
     }
     
+    const detectedLanguage = language ? null : toLanguageCode(transcription.language);
+    
     return {
       transcript: transcription.text?.trim() || '',
       confidence: 0.9, // Whisper doesn't provide confidence scores
       language: transcription.language || language,
+      detectedLanguage,
+      provider: PROVIDER_ID,
       duration: transcription.duration || 0,
+      words: normalizeWords(transcription.words, transcription.segments),
       metadata: {
         model: 'whisper-1',
         language: transcription.language || language,
@@ -85,11 +160,75 @@ const transcribeBuffer = async (audioBuffer, language = 'cs') => {
       transcript: '',
       confidence: 0,
       language: language,
-      error: error.message
+      error: error.message,
+      inputError: Boolean(error.input),
+      provider: PROVIDER_ID
     };
   }
 };
 
+/**
+ * Largest file the Whisper API accepts
+ */
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Transcribe an uploaded audio/video file into timed segments
+ * @param {string} filePath - Path to the file (mp3, mp4, m4a, wav, webm, ...)
+ * @param {string} language - Language code
+ * @param {Object} options - { signal: AbortSignal that cancels the request }
+ * @returns {Promise<Object>} Transcription result with segments; throws on failure
+ */
+const transcribeFile = async (filePath, language, { signal = null } = {}) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_FILE_BYTES) {
+    const error = new Error(`File too large for Whisper: ${size} bytes (maximum: ${MAX_FILE_BYTES} bytes)`);
+    error.input = true;
+    throw error;
+  }
+  
+  console.log('🎤 Whisper: Transcribing file:', path.basename(filePath));
+  const stream = fs.createReadStream(filePath);
+  stream.on('error', (error) => console.error('❌ Whisper: Failed to read upload:', error.message));
+  
+  let transcription;
+  try {
+    transcription = await getClient().audio.transcriptions.create({
+      file: stream, // Whisper detects the format from the file extension
+      model: 'whisper-1',
+      language,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word', 'segment'],
+      temperature: 0.1
+    }, signal ? { signal } : undefined);
+  } finally {
+    stream.destroy();
+  }
+  
+  const words = normalizeWords(transcription.words, transcription.segments);
+  const segments = (transcription.segments || [])
+    .map(segment => ({
+      transcript: segment.text?.trim() || '',
+      startMs: Math.round(segment.start * 1000),
+      endMs: Math.round(segment.end * 1000),
+      // avg_logprob is a log probability; exp() turns it into a rough 0..1 score
+      confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : 0.9,
+      speaker: 'Speaker',
+      words: words.filter(word => word.start >= segment.start && word.start < segment.end)
+    }))
+    .filter(segment => segment.transcript);
+  
+  console.log(`✅ Whisper: File transcription complete (${segments.length} segments)`);
+  return {
+    transcript: transcription.text?.trim() || '',
+    confidence: 0.9,
+    language: transcription.language || language,
+    provider: PROVIDER_ID,
+    durationMs: Math.round((transcription.duration || 0) * 1000),
+    segments
+  };
+};
+
 /**
  * Create WAV file from PCM buffer
  * @param {Buffer} pcmBuffer - Raw PCM audio data (16kHz, 16-bit, mono)
@@ -141,6 +280,9 @@ const testConnection = async () => {
     // Create a minimal test WAV file (silence)
     const testPcmBuffer = Buffer.alloc(32000); // 1 second of silence at 16kHz 16-bit
     const result = await transcribeBuffer(testPcmBuffer, 'en');
+    if (result.error) {
+      throw new Error(result.error);
+    }
     
     console.log('✅ Whisper connection test successful');
     return true;
@@ -166,8 +308,45 @@ const getSupportedLanguages = () => {
   ];
 };
 
+/**
+ * STT provider adapter registered in stt-providers.js
+ */
+const provider = {
+  id: PROVIDER_ID,
+  name: 'OpenAI Whisper',
+  description: 'OpenAI Whisper batch transcription with broad language coverage',
+  icon: '🤖',
+  capabilities: {
+    realtime: false,
+    confidence: false,
+    wordTimestamps: true,
+    speakerDiarization: false,
+    languageDetection: true
+  },
+  // Whisper takes ISO-639-1 codes (cs-CZ -> cs)
+  mapLanguage: (speechLanguage) => speechLanguage.split('-')[0].toLowerCase(),
+  getSupportedLanguages: () => {
+    const whisperLanguages = getSupportedLanguages();
+    return Object.keys(languages.SPEECH_LANGUAGES)
+      .filter(code => whisperLanguages.includes(code.split('-')[0].toLowerCase()));
+  },
+  transcribeBuffer: async (audioBuffer, language) => {
+    const result = await transcribeBuffer(audioBuffer, language);
+    if (result.error) {
+      const error = new Error(result.error);
+      error.input = result.inputError;
+      throw error;
+    }
+    return result;
+  },
+  transcribeFile,
+  testConnection
+};
+
 module.exports = {
+  provider,
   transcribeBuffer,
+  transcribeFile,
   testConnection,
   getSupportedLanguages,
   createWavFile